@@ -11,6 +11,34 @@
  * @usage
  *   Basic Usage: node ./k8s-port-forward-script.js
  *   With Namespace: node ./k8s-port-forward-script.js --namespace <NAMESPACE>
+ *   With Context: node ./k8s-port-forward-script.js --context <CONTEXT> [--kubeconfig <PATH>]
+ *   From Profile: node ./k8s-port-forward-script.js --profile <NAME> [--stack <STACK>[,<STACK>...]]
+ *   Non-interactive: node ./k8s-port-forward-script.js --namespace <NAMESPACE> --service <SERVICE>:<ENV>:<LOCAL_PORT>:<REMOTE_PORT> --no-logs
+ *   Logs in this terminal: node ./k8s-port-forward-script.js --inline-logs [--log-include <REGEX>] [--since <DURATION>] [--all-replicas]
+ *   Export Endpoints: node ./k8s-port-forward-script.js --export .env [--export-name <TEMPLATE>]
+ *   Record Session: node ./k8s-port-forward-script.js --record [--record-service-logs] [--record-dir <DIR>]
+ *   Dry Run: node ./k8s-port-forward-script.js --profile <NAME> --dry-run [--kubectl <PATH>]
+ *   Dashboard: node ./k8s-port-forward-script.js --dashboard
+ *   JSON Events: node ./k8s-port-forward-script.js --output json ... (one event per line on stdout; NO_COLOR is respected too)
+ *   Stable Ports with Traffic Stats: node ./k8s-port-forward-script.js --relay
+ *   Share on the Network: node ./k8s-port-forward-script.js --address 0.0.0.0 [--address <SERVICE>=<ADDR>]
+ *   Background: node ./k8s-port-forward-script.js --detach, then status / stop [--all]
+ *   Control a Session: node ./k8s-port-forward-script.js ctl <list|add|stop|restart|shutdown> [...]
+ *   All Options: node ./k8s-port-forward-script.js --help
+ *
+ * @api
+ *   const { resolveForwardRequest, startForwards } = require("./k8s-port-forward-script");
+ *   const handle = startForwards([await resolveForwardRequest({ service: "orders:dev:4000", namespace: "team-a" })]);
+ *   handle.on("ready", (status) => ...).on("exit", ...).on("error", ...); handle.stop();
+ *   Forwards print to stdout unless startForwards(configs, { logger: (colorCode, text) => ... }) or { quiet: true };
+ *   "error" listeners are optional, errors are printed (or logged) either way.
+ *
+ * @config
+ *   .k8s-port-forward/config.json (or --config <PATH>) can customize how pods are grouped into services:
+ *   { "grouping": { "environments": [...], "podNamePatterns": [...], "labels": { "service": "...", "environment": "..." } } }
+ *   the default --export variable names: { "export": { "nameTemplate": "{env}_{service}_URL" } }
+ *   and per-service hooks: { "hooks": { "orders": { "onReady": [{ "open": "/docs" }, "npm run seed"], "onExit": "...", "onShutdown": "..." } } }
+ *   Hook commands run in a shell with LOCAL_PORT, SERVICE, ENVIRONMENT, NAMESPACE, CONTEXT, POD, URL (and EXIT_CODE) set.
  */
 
 const metadata = {
@@ -20,16 +48,34 @@ const metadata = {
   repository: "https://github.com/oijusti/k8s-port-forward-script",
 };
 
-const { exec, spawn } = require("child_process");
+const { execFile, spawn } = require("child_process");
+const EventEmitter = require("events");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
 const readline = require("readline");
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+// Created on the first prompt, so that require()-ing this file has no side effects
+let rl = null;
+// Set when piped input runs out, so scripted runs fail instead of waiting on a prompt forever
+let inputEnded = false;
 
 const spinner = new Spinner();
 
+// While the dashboard owns the screen, print/writePrefixedLines hand their output here instead of stdout
+let outputInterceptor = null;
+
+// What the forwards print through, unless startForwards() was given a logger (see createLoggerOutput)
+const terminalOutput = { print, writePrefixedLines };
+
+// Set by --record; print/writePrefixedLines also append everything they show to the session log
+let sessionRecorder = null;
+
+// --output json: stdout carries one JSON event per line (see emitEvent) and everything else goes to stderr
+let jsonOutput = false;
+
 const c = {
   reset: "\x1b[0m",
   red: "\x1b[31m",
@@ -39,666 +85,5149 @@ const c = {
   cyan: "\x1b[36m",
 };
 
-/**
- * Helpers
- */
+// Per-service prefixes for logs streamed into this terminal, cycled in selection order
+const logColors = [
+  "\x1b[94m",
+  "\x1b[95m",
+  "\x1b[96m",
+  "\x1b[93m",
+  "\x1b[92m",
+  "\x1b[91m",
+];
 
-function execPromise(cmd) {
-  return new Promise((resolve, reject) => {
-    exec(cmd, (error, stdout, stderr) => {
-      if (error) {
-        reject(error);
-      } else if (stderr) {
-        reject(new Error(stderr));
-      } else {
-        resolve(stdout);
-      }
-    });
-  });
+// NO_COLOR (https://no-color.org) and --output json turn every escape code above into ""
+function disableColors() {
+  for (const key of Object.keys(c)) c[key] = "";
+  logColors.fill("");
 }
+if (process.env.NO_COLOR) disableColors();
 
-function parseServicesMap(podsData, namespace) {
-  const servicesMap = new Map();
-  const lines = podsData.trim().split("\n");
+// Stands for "every container of the pod" in cfg.logsContainer (not a valid container name)
+const allContainers = "*";
+
+// Applied to every port-forward that exits on its own (pod rescheduled, rollout, network drop)
+const restartPolicy = {
+  maxRestarts: 5,
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  // A forward that stays up this long is considered healthy again and gets a fresh retry budget
+  resetAfterMs: 60000,
+};
 
-  // Get headers to find indices
-  const headers = lines[0].split(/\s+/);
-  const namespaceIndex = headers.indexOf("NAMESPACE");
-  const nameIndex = headers.indexOf("NAME");
-  const statusIndex = headers.indexOf("STATUS");
+// Optional periodic probe of every forward (see --health-check)
+const healthCheckPolicy = {
+  defaultIntervalSeconds: 10,
+  timeoutMs: 3000,
+};
 
-  for (let i = 1; i < lines.length; i++) {
-    const columns = lines[i].split(/\s+/);
+// How long the session waits for onShutdown hooks before exiting anyway
+const hookPolicy = {
+  shutdownTimeoutMs: 10000,
+};
 
-    // Read STATUS column (if present) and skip non-Running entries
-    const statusColumn = statusIndex !== -1 ? columns[statusIndex] : undefined;
-    if (statusColumn !== undefined && statusColumn !== "Running") {
-      continue;
-    }
+// --relay: how long connections wait for a restarting kubectl, and how often traffic is reported
+const relayPolicy = {
+  holdMs: 10000,
+  statsIntervalMs: 60000,
+};
 
-    const namespaceColumn = namespace ?? columns[namespaceIndex];
-    const nameColumn = columns[nameIndex];
+// Session log files (--record) are rotated to <file>.1 ... <file>.<maxFiles> once they reach maxFileMb
+const recordPolicy = {
+  defaultMaxFileMb: 10,
+  maxFiles: 5,
+};
 
-    // Categorize services by environment based on prefix: "dev-", "qa-", "stg-", "prod-", or "default"
-    const envPrefixes = ["dev", "qa", "stg", "prod"];
-    const envPrefix =
-      envPrefixes.find((env) => nameColumn.startsWith(`${env}-`)) ?? "default";
+// Config and profiles live next to the project so they can be committed and shared with the team
+const configDir = path.join(process.cwd(), ".k8s-port-forward");
+const defaultConfigPath = path.join(configDir, "config.json");
+const profilesDir = path.join(configDir, "profiles");
+const defaultRecordDir = path.join(configDir, "sessions");
 
-    const parts = nameColumn.split("-");
-    if (parts.length > 2) {
-      const serviceName = parts.slice(0, -2).join("-");
-      const serviceId = parts.slice(-2).join("-");
+// Per-user directory where running sessions publish their control socket (see getRuntimeDir)
+let runtimeDir = null;
 
-      const envPrefixStripRegex = new RegExp(`^(${envPrefixes.join("|")})-`);
-      let shortServiceName = serviceName.replace(envPrefixStripRegex, "");
-      if (namespaceColumn) {
-        shortServiceName = shortServiceName.replace(
-          new RegExp(`^${namespaceColumn}-`, "g"),
-          "",
-        );
-      }
+// --kubectl wins over the environment variable; both may point at oc, a pinned kubectl or a stub
+const kubectlEnvVar = "K8S_PORT_FORWARD_KUBECTL";
+let kubectlPath = null;
 
-      if (!servicesMap.has(shortServiceName)) {
-        servicesMap.set(shortServiceName, {});
-      }
-      servicesMap.get(shortServiceName)[envPrefix] = {
-        id: serviceId,
-        namespace: namespaceColumn,
-        serviceName,
-      };
-    }
-  }
-  return servicesMap;
+// Set by --detach on the background process it starts; the configs themselves arrive on its stdin
+const daemonEnv = {
+  configs: "K8S_PORT_FORWARD_DAEMON_CONFIGS",
+  logFile: "K8S_PORT_FORWARD_DAEMON_LOG",
+};
+const defaultStackName = "default";
+
+// --export: variable names come from this template, upper-cased, e.g. ORDERS_URL
+const defaultExportNameTemplate = "{service}_URL";
+const exportFormats = ["env", "json", "shell"];
+const outputFormats = ["text", "json"];
+
+// Default service grouping: "<env>-<service>-<replicaset hash>-<pod hash>" with dev/qa/stg/prod environments
+const defaultGroupingConfig = {
+  environments: ["dev", "qa", "stg", "prod"],
+  podNamePatterns: ["^(?<service>.+)-[^-]+-[^-]+$"],
+};
+let groupingRules = compileGroupingRules(defaultGroupingConfig);
+
+// Lifecycle hooks per service (see assertValidHooks), from the "hooks" section of the config file
+const hookNames = ["onReady", "onExit", "onShutdown"];
+let serviceHooks = {};
+// Hook commands still running as child → { name, stopping }; onShutdown ones are waited for on exit
+const runningHooks = new Map();
+
+// What a port-forward can point at; "pod" keeps the tunnel on the pod that was selected
+const targetKinds = ["pod", "svc", "deploy"];
+
+/**
+ * Helpers
+ */
+
+// Runs a program with an argument array and no shell, so names never reach a shell parser
+function execPromise(file, args = []) {
+  return new Promise((resolve, reject) => {
+    // Pod lists in JSON get large on busy clusters
+    execFile(
+      file,
+      args,
+      { maxBuffer: 64 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(error);
+        } else if (stderr) {
+          reject(new Error(stderr));
+        } else {
+          resolve(stdout);
+        }
+      },
+    );
+  });
 }
 
-function getArgValue(flag) {
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === flag && args[i + 1]) {
-      return args[i + 1];
+// Turns the "grouping" section of the config file into rules for parseServicesMap:
+//   environments: ["staging", { "name": "canary", "suffix": "-canary" }] (a plain name means prefix "<name>-")
+//   podNamePatterns: regexes with a named "service" group, tried in order on the pod name, then the workload name
+//     (the built-in pattern only applies to pods without an owning workload)
+//   labels: { "service": "app.kubernetes.io/name", "environment": "environment" } to group by pod labels instead
+function compileGroupingRules(grouping = {}) {
+  const environments = (
+    grouping.environments || defaultGroupingConfig.environments
+  ).map((env) =>
+    typeof env === "string" ? { name: env, prefix: `${env}-` } : env,
+  );
+  for (const env of environments) {
+    if (!env || !env.name || !(env.prefix || env.suffix)) {
+      throw new Error(
+        `Invalid environment rule ${JSON.stringify(env)}: expected a "name" and a "prefix" or "suffix".`,
+      );
     }
   }
-  return null;
-}
 
-function prompt(question) {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => resolve(answer.trim()));
+  const podNamePatterns = (
+    grouping.podNamePatterns || defaultGroupingConfig.podNamePatterns
+  ).map((pattern) => {
+    if (!String(pattern).includes("(?<service>")) {
+      throw new Error(
+        `Invalid pod name pattern "${pattern}": expected a named (?<service>...) group.`,
+      );
+    }
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(
+        `Invalid pod name pattern "${pattern}": ${error.message}`,
+      );
+    }
   });
+
+  const labels = grouping.labels || null;
+  if (labels && !labels.service && !labels.environment) {
+    throw new Error(
+      'Invalid label rule: expected a "service" and/or "environment" label key.',
+    );
+  }
+
+  return {
+    environments,
+    podNamePatterns,
+    customPodNamePatterns: Boolean(grouping.podNamePatterns),
+    labels,
+  };
 }
 
-function colorText(colorCode, text) {
-  const reset = "\x1b[0m";
-  return `${colorCode}${text}${reset}`;
+// Checks a "hooks" object, from the config file (per service) or a profile entry:
+//   { "onReady": <action>, "onExit": <action>, "onShutdown": <action> }, each a shell command,
+//   { "open": "<path>" } to open the forward's URL in the browser, or a list of those
+function assertValidHooks(hooks, where) {
+  if (!hooks || typeof hooks !== "object" || Array.isArray(hooks)) {
+    throw new Error(
+      `Invalid hooks for ${where}: expected an object with ${hookNames.join(", ")}.`,
+    );
+  }
+  for (const [name, hook] of Object.entries(hooks)) {
+    if (!hookNames.includes(name)) {
+      throw new Error(
+        `Invalid hook "${name}" for ${where}. Expected one of: ${hookNames.join(", ")}.`,
+      );
+    }
+    const valid = []
+      .concat(hook)
+      .every(
+        (action) =>
+          (typeof action === "string" && action.trim() !== "") ||
+          (action &&
+            typeof action === "object" &&
+            typeof action.open === "string"),
+      );
+    if (!valid) {
+      throw new Error(
+        `Invalid hook ${name} for ${where}: expected a command, { "open": "<path>" } or a list of them.`,
+      );
+    }
+  }
+  return hooks;
 }
 
-function print(colorCode, text) {
-  return console.log(colorText(colorCode, text));
+// Turns the "hooks" section of the config file, { "<service>": { ...hooks } }, into per-service hooks
+function compileServiceHooks(hooksConfig = {}) {
+  if (!hooksConfig || typeof hooksConfig !== "object") {
+    throw new Error(
+      'Invalid "hooks" section: expected { "<service>": { ...hooks } }.',
+    );
+  }
+  for (const [service, hooks] of Object.entries(hooksConfig)) {
+    assertValidHooks(hooks, `service "${service}"`);
+  }
+  return hooksConfig;
 }
 
-// function sleep(ms) {
-//   return new Promise((resolve) => setTimeout(resolve, ms));
-// }
+// Deployment/StatefulSet/DaemonSet/... that controls the pod, e.g. { kind: "Deployment", name: "dev-orders" }
+function getPodWorkload(pod) {
+  const owner = (pod.metadata.ownerReferences || []).find(
+    (ref) => ref.controller,
+  );
+  if (!owner) return null;
 
-function isValidPort(value) {
-  const n = Number(value);
-  return Number.isInteger(n) && n > 0 && n <= 65535;
+  // Deployments own pods through a ReplicaSet named "<deployment>-<pod-template-hash>"
+  const templateHash = (pod.metadata.labels || {})["pod-template-hash"];
+  if (
+    owner.kind === "ReplicaSet" &&
+    templateHash &&
+    owner.name.endsWith(`-${templateHash}`)
+  ) {
+    return {
+      kind: "Deployment",
+      name: owner.name.slice(0, -(templateHash.length + 1)),
+    };
+  }
+  return { kind: owner.kind, name: owner.name };
 }
 
-function nextAvailablePort(startPort, reservedPorts) {
-  let p = startPort;
-  while (reservedPorts.has(String(p))) p++;
-  return String(p);
-}
+function toPodInfo(pod) {
+  const containers = pod.spec.containers || [];
+  const containerStatuses = pod.status.containerStatuses || [];
+  const readyCount = containerStatuses.filter((status) => status.ready).length;
 
-// Parses a selection string like: "1,3,5" (1-based indices)
-function parseMultiSelect(input, max) {
-  const raw = String(input ?? "").trim();
-  if (!raw) return [];
+  return {
+    name: pod.metadata.name,
+    ready: containers.length > 0 && readyCount === containers.length,
+    readyContainers: `${readyCount}/${containers.length}`,
+    restarts: containerStatuses.reduce(
+      (sum, status) => sum + (status.restartCount || 0),
+      0,
+    ),
+    startTime: pod.status.startTime,
+    containers: containers.map((container) => container.name),
+    ports: containers.flatMap((container) =>
+      (container.ports || []).map((port) => ({
+        container: container.name,
+        name: port.name || "",
+        containerPort: String(port.containerPort),
+        protocol: port.protocol || "TCP",
+      })),
+    ),
+  };
+}
 
-  const result = new Set();
-  const parts = raw
-    .split(",")
-    .map((p) => p.trim())
-    .filter(Boolean);
+// Works out which service and environment a pod belongs to; null when no rule matches
+function groupPod(podName, workload, namespace, labels, rules) {
+  const labelService =
+    rules.labels && rules.labels.service
+      ? labels[rules.labels.service]
+      : undefined;
 
-  for (const part of parts) {
-    const n = Number.parseInt(part, 10);
-    if (!Number.isFinite(n) || n < 1 || n > max) return null;
-    result.add(n);
-  }
+  // Configured patterns win over the workload name; the default one only covers pods without a workload
+  const names = [podName];
+  if (workload && rules.customPodNamePatterns) names.push(workload.name);
+  const match =
+    rules.customPodNamePatterns || !workload
+      ? names
+          .flatMap((name) =>
+            rules.podNamePatterns.map((pattern) => pattern.exec(name)),
+          )
+          .find(Boolean)
+      : null;
+  let serviceName = match ? match.groups.service : undefined;
+  if (!serviceName) serviceName = workload ? workload.name : labelService;
+  if (!serviceName) return null;
 
-  return Array.from(result).sort((x, y) => x - y);
-}
+  const envRule = rules.environments.find(
+    (env) =>
+      (env.prefix && serviceName.startsWith(env.prefix)) ||
+      (env.suffix && serviceName.endsWith(env.suffix)),
+  );
+  const labelEnvironment =
+    rules.labels && rules.labels.environment
+      ? labels[rules.labels.environment]
+      : undefined;
+  const environment = labelEnvironment || (envRule ? envRule.name : "default");
 
-function writePrefixedLines(colorCode, prefix, data) {
-  const text = data instanceof Buffer ? data.toString("utf8") : String(data);
-  const lines = text.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n");
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    // Avoid printing a trailing empty line produced by split when input ends with newline
-    if (i === lines.length - 1 && line === "") continue;
-    process.stdout.write(colorText(colorCode, `${prefix} ${line}`) + "\n");
+  let shortServiceName = labelService;
+  if (!shortServiceName) {
+    shortServiceName = serviceName;
+    if (
+      envRule &&
+      envRule.prefix &&
+      shortServiceName.startsWith(envRule.prefix)
+    ) {
+      shortServiceName = shortServiceName.slice(envRule.prefix.length);
+    } else if (envRule && envRule.suffix) {
+      shortServiceName = shortServiceName.slice(0, -envRule.suffix.length);
+    }
+    if (namespace && shortServiceName.startsWith(`${namespace}-`)) {
+      shortServiceName = shortServiceName.slice(namespace.length + 1);
+    }
   }
+
+  return { serviceName, shortServiceName, environment };
 }
 
-function Spinner() {
-  const spinnerChars = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
-  let index = 0;
-  let intervalId = null;
-  let message = "";
+// Builds Map<shortServiceName, { [environment]: serviceDetails }> from `kubectl get pods -o json`.
+// serviceDetails: { podName, namespace, serviceName, workload, pods: [podInfo], ports: [containerPort] }
+function parseServicesMap(podsData, namespace, rules = groupingRules) {
+  const servicesMap = new Map();
+  const podList =
+    typeof podsData === "string" ? JSON.parse(podsData) : podsData;
 
-  return {
-    start(newMessage) {
-      if (intervalId) return; // Spinner is already running
+  for (const pod of podList.items || []) {
+    // Skip pods that are not Running, or already terminating
+    if (pod.status.phase !== "Running" || pod.metadata.deletionTimestamp) {
+      continue;
+    }
 
-      message = newMessage;
-      process.stdout.write(`${message}...`); // Write the message first
+    const podNamespace = pod.metadata.namespace || namespace;
+    const workload = getPodWorkload(pod);
+    const group = groupPod(
+      pod.metadata.name,
+      workload,
+      podNamespace,
+      pod.metadata.labels || {},
+      rules,
+    );
+    if (!group) continue;
 
-      intervalId = setInterval(() => {
-        process.stdout.write(`\r${message}...${spinnerChars[index]}`);
-        index = (index + 1) % spinnerChars.length;
-      }, 100); // Adjust the speed by changing the interval (in milliseconds)
-    },
+    if (!servicesMap.has(group.shortServiceName)) {
+      servicesMap.set(group.shortServiceName, {});
+    }
+    const environments = servicesMap.get(group.shortServiceName);
+    if (!environments[group.environment]) {
+      environments[group.environment] = {
+        podName: null,
+        namespace: podNamespace,
+        serviceName: group.serviceName,
+        workload,
+        pods: [],
+        ports: [],
+      };
+    }
 
-    stop() {
-      if (intervalId) {
-        clearInterval(intervalId);
-        intervalId = null;
-        process.stdout.write(`\r${message}...done.\n`); // Overwrite the spinner with "done."
+    const serviceDetails = environments[group.environment];
+    const podInfo = toPodInfo(pod);
+    serviceDetails.pods.push(podInfo);
+    for (const port of podInfo.ports) {
+      if (
+        !serviceDetails.ports.some(
+          (p) => p.containerPort === port.containerPort,
+        )
+      ) {
+        serviceDetails.ports.push(port);
       }
-    },
-  };
+    }
+  }
+
+  // Best replica first: fully ready, then fewest restarts; that one is forwarded by default
+  for (const environments of servicesMap.values()) {
+    for (const serviceDetails of Object.values(environments)) {
+      serviceDetails.pods.sort(
+        (a, b) => b.ready - a.ready || a.restarts - b.restarts,
+      );
+      serviceDetails.podName = serviceDetails.pods[0].name;
+    }
+  }
+
+  return servicesMap;
 }
 
-function attachGracefulShutdown({ rl, processes, print, c }) {
-  let isShuttingDown = false;
+// Command line options, in the order they are listed by --help
+const cliOptions = [
+  {
+    flag: "--context",
+    value: "<CONTEXT>",
+    description: "kubeconfig context to use (default: prompt)",
+  },
+  {
+    flag: "--kubectl",
+    value: "<PATH>",
+    description: `kubectl executable to run, e.g. oc or a wrapper (default: $${kubectlEnvVar} or kubectl)`,
+  },
+  {
+    flag: "--dry-run",
+    description:
+      "Run discovery and the prompts, then only print the commands and ports it would use",
+  },
+  {
+    flag: "--kubeconfig",
+    value: "<PATH>",
+    description: "kubeconfig file to use for every kubectl call",
+  },
+  {
+    flag: "--namespace",
+    value: "<NAMESPACE>",
+    description: "Namespace to look for services in (default: prompt)",
+  },
+  {
+    flag: "--service",
+    value: "<SPEC>",
+    multiple: true,
+    description:
+      "Service to forward as <service>[:<env>[:<localPort>[:<remotePort>]]]; repeatable or comma-separated",
+  },
+  {
+    flag: "--env",
+    value: "<ENV>",
+    description: "Environment for services given without one",
+  },
+  {
+    flag: "--local-port",
+    value: "<PORT>",
+    description: "Local port (only with a single --service)",
+  },
+  {
+    flag: "--remote-port",
+    value: "<PORT>",
+    description: "Destination port (only with a single --service)",
+  },
+  {
+    flag: "--target",
+    value: "<pod|svc|deploy>",
+    description:
+      "Forward to the pod, its Service or its Deployment (default: prompt)",
+  },
+  {
+    flag: "--address",
+    value: "<ADDR>",
+    multiple: true,
+    description:
+      "Listen address for the forwards, e.g. 0.0.0.0 or an interface IP, or <SERVICE>=<ADDR> for one service (default: localhost)",
+  },
+  {
+    flag: "--health-check",
+    value: "<tcp|http[:PATH]>",
+    description:
+      "Probe every forward periodically, e.g. tcp or http:/health (default: off)",
+  },
+  {
+    flag: "--health-interval",
+    value: "<SECONDS>",
+    description: `Seconds between health checks (default: ${healthCheckPolicy.defaultIntervalSeconds})`,
+  },
+  {
+    flag: "--relay",
+    description:
+      "Keep the local ports open in this script and relay to kubectl on internal ports: no refused connections while kubectl reconnects, traffic stats per forward",
+  },
+  {
+    flag: "--dashboard",
+    description:
+      "Full-screen table of all forwards with restart/stop/logs keys per row",
+  },
+  { flag: "--logs", description: "Open the logs window without asking" },
+  { flag: "--no-logs", description: "Don't open the logs window" },
+  {
+    flag: "--inline-logs",
+    description:
+      "Stream logs into this terminal instead of separate windows (default without a desktop)",
+  },
+  {
+    flag: "--log-include",
+    value: "<REGEX>",
+    description: "Only show log lines matching (repeatable, --inline-logs)",
+    multiple: true,
+  },
+  {
+    flag: "--log-exclude",
+    value: "<REGEX>",
+    description: "Hide log lines matching (repeatable, --inline-logs)",
+    multiple: true,
+  },
+  {
+    flag: "--since",
+    value: "<DURATION>",
+    description: "Only logs newer than this, e.g. 10m or 1h30m",
+  },
+  {
+    flag: "--tail",
+    value: "<LINES>",
+    description: "Recent log lines to show first",
+  },
+  {
+    flag: "--container",
+    value: "<NAME>",
+    description: `Container to read logs from ("${allContainers}" for all of them)`,
+  },
+  {
+    flag: "--all-replicas",
+    description: "Follow the logs of every replica, not just the forwarded pod",
+  },
+  {
+    flag: "--detach",
+    description:
+      "Run the forwards in the background after the prompts; see status/stop",
+  },
+  {
+    flag: "--export",
+    value: "<PATH>",
+    description:
+      "Write the forwarded URLs to a .env, .json or .sh file, restored on shutdown",
+  },
+  {
+    flag: "--export-format",
+    value: "<env|json|shell>",
+    description: "Format of the --export file (default: from its extension)",
+  },
+  {
+    flag: "--export-name",
+    value: "<TEMPLATE>",
+    description: `Variable name template with {service}, {env} and {port} (default: ${defaultExportNameTemplate})`,
+  },
+  {
+    flag: "--record",
+    description:
+      "Write a timestamped session log to <record dir>/<start time>-<pid>/session.log",
+  },
+  {
+    flag: "--record-dir",
+    value: "<DIR>",
+    description: `Directory for --record sessions (default: ${path.relative(
+      process.cwd(),
+      defaultRecordDir,
+    )})`,
+  },
+  {
+    flag: "--record-service-logs",
+    description:
+      "With --record, also save each service's kubectl logs to logs/<service>.log",
+  },
+  {
+    flag: "--record-max-size",
+    value: "<MB>",
+    description: `Rotate session files at this size (default: ${recordPolicy.defaultMaxFileMb})`,
+  },
+  {
+    flag: "--output",
+    value: "<text|json>",
+    description:
+      "json: one event per line on stdout (discovery, config, forward started/ready/stderr/exited, shutdown), text on stderr, no colors",
+  },
+  {
+    flag: "--config",
+    value: "<PATH>",
+    description: `Config file with service grouping rules (default: ${path.relative(
+      process.cwd(),
+      defaultConfigPath,
+    )})`,
+  },
+  {
+    flag: "--profile",
+    value: "<NAME>",
+    description: "Start the forwards saved in a profile, skipping all prompts",
+  },
+  {
+    flag: "--stack",
+    value: "<STACK>[,<STACK>...]",
+    description: "Only start these stacks of the profile (default: all)",
+  },
+  { flag: "--help", alias: "-h", description: "Show this help" },
+];
 
-  const killPortForwardProcess = (p) => {
-    if (!p || !p.pid) return;
+function toOptionKey(flag) {
+  return flag
+    .replace(/^-+/, "")
+    .replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
 
-    // Best-effort: try to stop kubectl and, on Windows, also kill the full process tree.
-    try {
-      if (process.platform === "win32") {
-        try {
-          p.kill();
-        } catch {
-          // ignore
-        }
+// Parses argv into { namespace, service: [specs], localPort, noLogs, ... }; accepts "--flag value" and "--flag=value"
+function parseArgs(argv) {
+  const options = {};
+  for (const option of cliOptions) {
+    if (option.multiple) options[toOptionKey(option.flag)] = [];
+  }
 
-        try {
-          const killer = spawn(
-            "taskkill",
-            ["/PID", String(p.pid), "/T", "/F"],
-            { stdio: "ignore" },
-          );
-          killer.unref();
-        } catch {
-          // ignore
-        }
-      } else {
-        try {
-          p.kill("SIGINT");
-        } catch {
-          // ignore
-        }
+  for (let i = 0; i < argv.length; i++) {
+    const [arg, inlineValue] = argv[i].startsWith("--")
+      ? argv[i].split(/=(.*)/s)
+      : [argv[i]];
+    const option = cliOptions.find((o) => o.flag === arg || o.alias === arg);
+    if (!option) {
+      throw new Error(`Unknown option: ${arg}. Run with --help for usage.`);
+    }
 
-        // If it doesn't exit quickly, force kill it.
-        const t = setTimeout(() => {
-          try {
-            p.kill("SIGKILL");
-          } catch {
-            // ignore
-          }
-        }, 1500);
-        if (typeof t.unref === "function") t.unref();
-      }
-    } catch {
-      // ignore
+    const key = toOptionKey(option.flag);
+    if (!option.value) {
+      options[key] = true;
+      continue;
     }
-  };
 
-  const shutdown = (reason) => {
-    if (isShuttingDown) return;
-    isShuttingDown = true;
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === "") {
+      throw new Error(`Missing value for ${option.flag} ${option.value}.`);
+    }
+    if (option.multiple) {
+      options[key].push(value);
+    } else {
+      options[key] = value;
+    }
+  }
 
-    if (reason) print(c.cyan, `\nShutting down (${reason})...`);
+  options.service = options.service
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(parseServiceSpec);
 
+  if (options.profile && options.service.length > 0) {
+    throw new Error("--profile cannot be combined with --service.");
+  }
+  if (options.target && !targetKinds.includes(options.target)) {
+    throw new Error(
+      `Invalid --target "${options.target}". Expected one of: ${targetKinds.join(", ")}.`,
+    );
+  }
+  if (options.healthCheck && !parseHealthCheck(options.healthCheck)) {
+    throw new Error(
+      `Invalid --health-check "${options.healthCheck}". Expected tcp, http or http:<PATH>.`,
+    );
+  }
+  if (
+    options.healthInterval !== undefined &&
+    !(Number(options.healthInterval) > 0)
+  ) {
+    throw new Error(
+      `Invalid --health-interval "${options.healthInterval}". Expected a number of seconds.`,
+    );
+  }
+  if (options.logs && options.noLogs) {
+    throw new Error("--logs and --no-logs cannot be used together.");
+  }
+  for (const pattern of [...options.logInclude, ...options.logExclude]) {
     try {
-      rl.close();
-    } catch {
-      // ignore
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid log filter "${pattern}": ${error.message}`);
+    }
+  }
+  if (options.since && !/^(\d+[hms])+$/.test(options.since)) {
+    throw new Error(
+      `Invalid --since "${options.since}". Expected a duration such as 30s, 10m or 1h30m.`,
+    );
+  }
+  if (options.tail !== undefined && !/^\d+$/.test(options.tail)) {
+    throw new Error(
+      `Invalid --tail "${options.tail}". Expected a number of lines.`,
+    );
+  }
+  if (
+    options.recordMaxSize !== undefined &&
+    !(Number(options.recordMaxSize) > 0)
+  ) {
+    throw new Error(
+      `Invalid --record-max-size "${options.recordMaxSize}". Expected a number of megabytes.`,
+    );
+  }
+  if (options.exportFormat && !exportFormats.includes(options.exportFormat)) {
+    throw new Error(
+      `Invalid --export-format "${options.exportFormat}". Expected one of: ${exportFormats.join(", ")}.`,
+    );
+  }
+  if (options.output && !outputFormats.includes(options.output)) {
+    throw new Error(
+      `Invalid --output "${options.output}". Expected one of: ${outputFormats.join(", ")}.`,
+    );
+  }
+  if ((options.exportFormat || options.exportName) && !options.export) {
+    throw new Error(
+      "--export-format and --export-name require --export <PATH>.",
+    );
+  }
+  // The other --record-* options only make sense while recording
+  if (options.recordDir || options.recordServiceLogs || options.recordMaxSize) {
+    options.record = true;
+  }
+  for (const flag of ["--local-port", "--remote-port"]) {
+    const value = options[toOptionKey(flag)];
+    if (value !== undefined && !isValidPort(value)) {
+      throw new Error(
+        `Invalid ${flag} "${value}". Enter a number between 1 and 65535.`,
+      );
     }
+  }
+  // --address <ADDR> applies to every forward, --address <SERVICE>=<ADDR> to one service
+  options.addressByService = {};
+  for (const value of options.address) {
+    const [service, address] = value.includes("=")
+      ? value.split(/=(.*)/s)
+      : ["", value];
+    if (!parseBindAddresses(address)) {
+      throw new Error(
+        `Invalid --address "${value}". Expected localhost, an IP address or a comma-separated list of them.`,
+      );
+    }
+    if (service) options.addressByService[service] = address;
+    else options.bindAddress = address;
+  }
+  // These reach kubectl as arguments, so they are checked here instead of failing mid-session
+  if (options.namespace) assertKubernetesName("namespace", options.namespace);
+  if (options.container && options.container !== allContainers) {
+    assertKubernetesName("container", options.container);
+  }
+  for (const flag of ["--context", "--kubeconfig", "--kubectl"]) {
+    const value = options[toOptionKey(flag)];
+    if (value !== undefined) assertSafeKubectlValue(flag, value);
+  }
+
+  return options;
+}
 
-    for (const p of processes) {
-      killPortForwardProcess(p);
+// Parses "<service>[:<env>[:<localPort>[:<remotePort>]]]"; empty parts fall back to flags/prompts
+function parseServiceSpec(spec) {
+  const [service, environment, localPort, servicePort, ...rest] =
+    spec.split(":");
+  if (!service || rest.length > 0) {
+    throw new Error(
+      `Invalid service spec "${spec}". Expected <service>[:<env>[:<localPort>[:<remotePort>]]].`,
+    );
+  }
+  for (const port of [localPort, servicePort]) {
+    if (port && !isValidPort(port)) {
+      throw new Error(
+        `Invalid port "${port}" in service spec "${spec}". Enter a number between 1 and 65535.`,
+      );
     }
+  }
 
-    // Ensure we actually exit (especially on Windows where handles can linger).
-    const t = setTimeout(() => process.exit(0), 200);
-    if (typeof t.unref === "function") t.unref();
+  return {
+    service,
+    environment: environment || undefined,
+    localPort: localPort || undefined,
+    servicePort: servicePort || undefined,
   };
+}
 
-  process.once("SIGINT", () => shutdown("SIGINT / Ctrl+C"));
-  process.once("SIGTERM", () => shutdown("SIGTERM"));
-
-  return shutdown;
+function printHelp() {
+  // Plain lines, on stderr with --output json like the rest of the text
+  const write = (text) => getTextOutput().write(`${text}\n`);
+  print(c.cyan, "\nOptions:");
+  for (const option of cliOptions) {
+    const names = [option.alias, option.flag].filter(Boolean).join(", ");
+    const usage = option.value ? `${names} ${option.value}` : names;
+    write(`  ${usage.padEnd(36)} ${option.description}`);
+  }
+  print(c.cyan, "\nManage running sessions:");
+  for (const [usage, description] of sessionCommands) {
+    write(`  ${usage.padEnd(36)} ${description}`);
+  }
+  print(c.cyan, "\nExamples:");
+  write(
+    "  node ./k8s-port-forward-script.js --namespace team-a --service orders --env dev --local-port 4000 --remote-port 8080 --no-logs",
+  );
+  write(
+    "  node ./k8s-port-forward-script.js --namespace team-a --service orders:dev:4000:8080 --service payments:dev:4001",
+  );
 }
 
-// Open logs in an external terminal when possible, otherwise spawn in current process.
-function openLogsInTerminal(logsCommand, logsTitle) {
-  // Escape backslashes and double quotes for shell/AppleScript
-  const escapedCommand = logsCommand.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
-  const escapedTitle = logsTitle.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+const sessionCommands = [
+  ["status", "Show running sessions (also --detach ones) and their forwards"],
+  ["stop [--all]", "End a running session, or all of them"],
+  ["ctl list", "List the forwards of the session with their state"],
+  [
+    "ctl add <SPEC> [--namespace <NS>]",
+    "Add a forward, <SPEC> as in --service; also takes --context, --target and --address",
+  ],
+  ["ctl stop <ID>", "Stop one forward"],
+  ["ctl restart <ID>", "Restart one forward (also a stopped one)"],
+  ["ctl shutdown", "Stop every forward and end the session"],
+  ["... --session <PID>", "Pick the session when several are running"],
+];
 
-  if (process.platform === "win32") {
-    // Open a new cmd window with a title and run the logs command (keeps window open)
-    exec(`start "${escapedTitle}" cmd.exe /k "${logsCommand}"`, (err) => {
-      if (err) {
-        console.error(`Failed to open terminal: ${err.message}`);
-        spawn("kubectl", logsCommand.split(" ").slice(1), { stdio: "inherit" });
-      }
+function getReadline() {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: getTextOutput(),
     });
-  } else if (process.platform === "darwin") {
-    // Open a new Terminal window on macOS
-    // Use AppleScript with multiple -e arguments for proper parsing
-    // Use osascript with multiple -e arguments (each -e is a separate line of AppleScript)
-    const args = [
-      "-e", `tell application "Terminal"`,
-      "-e", `set newTab to do script "${escapedCommand}"`,
-      "-e", `set custom title of newTab to "${escapedTitle}"`,
-      "-e", "activate",
-      "-e", "end tell"
-    ];
-
-    const child = spawn("osascript", args, { stdio: ["ignore", "pipe", "pipe"] });
-    
-    let stderrData = "";
-    child.stderr.on("data", (data) => {
-      stderrData += data.toString();
+    // closeReadline() clears rl first; any other close is the input ending (or Ctrl+C/D at a terminal)
+    rl.on("close", () => {
+      if (rl && !process.stdin.isTTY) inputEnded = true;
+      rl = null;
     });
+  }
+  return rl;
+}
 
-    child.on("close", (code) => {
-      if (code !== 0) {
-        console.error(`Failed to open Terminal (exit code ${code})`);
-        if (stderrData) console.error(`stderr: ${stderrData}`);
-        // Fallback to spawning in current process
-        spawn("kubectl", logsCommand.split(" ").slice(1), { stdio: "inherit" });
-      }
-    });
+function closeReadline() {
+  if (!rl) return;
+  const current = rl;
+  rl = null;
+  current.close();
+}
 
-    child.on("error", (err) => {
-      console.error(`Failed to execute osascript: ${err.message}`);
-      spawn("kubectl", logsCommand.split(" ").slice(1), { stdio: "inherit" });
+// "flags" names what to pass instead, for the error when there is no input left to answer with
+function prompt(question, flags) {
+  return new Promise((resolve, reject) => {
+    const fail = () =>
+      reject(
+        new Error(
+          `No input left to answer "${stripAnsi(question).trim()}"${
+            flags ? `; pass ${flags} to run without this prompt` : ""
+          }.`,
+        ),
+      );
+    if (inputEnded) return fail();
+    const readlineInterface = getReadline();
+    const onClose = () => {
+      if (inputEnded) fail();
+    };
+    readlineInterface.once("close", onClose);
+    readlineInterface.question(question, (answer) => {
+      readlineInterface.off("close", onClose);
+      resolve(answer.trim());
     });
-  } else {
-    // Try common Linux terminals; set the title via escape sequence or terminal option; fall back to spawning in current process
-    const commandWithTitle = `echo -ne '\\033]0;${escapedTitle}\\007'; ${escapedCommand}`;
-
-    exec(
-      `gnome-terminal -- bash -c "${commandWithTitle}; exec bash"`,
-      (err) => {
-        if (err) {
-          exec(
-            `x-terminal-emulator -e bash -c "${commandWithTitle}; exec bash"`,
-            (err2) => {
-              if (err2) {
-                exec(
-                  `xterm -T "${escapedTitle}" -e bash -c "${escapedCommand}; exec bash"`,
-                  (err3) => {
-                    if (err3) {
-                      console.error(`Failed to open terminal: ${err3.message}`);
-                      spawn("kubectl", logsCommand.split(" ").slice(1), {
-                        stdio: "inherit",
-                      });
-                    }
-                  },
-                );
-              }
-            },
-          );
-        }
-      },
-    );
-  }
+  });
 }
 
-async function getNamespaces() {
-  const getNamespacesCommand =
-    "kubectl get namespaces -o jsonpath={.items[*].metadata.name}";
-
-  print(c.green, `\n> ${getNamespacesCommand}`);
-  spinner.start("Loading namespaces");
+function colorText(colorCode, text) {
+  return `${colorCode}${text}${c.reset}`;
+}
 
-  const nsOutput = await execPromise(getNamespacesCommand);
-  const namespaces = nsOutput.trim().split(/\s+/);
-  spinner.stop();
+// Where human-readable output goes: stderr while stdout is reserved for --output json events
+function getTextOutput() {
+  return jsonOutput ? process.stderr : process.stdout;
+}
 
-  return namespaces;
+function useJsonOutput() {
+  jsonOutput = true;
+  disableColors();
 }
 
-async function getPods(namespace) {
-  const getPodsCommand = namespace
-    ? `kubectl get pods --namespace ${namespace}`
-    : "kubectl get pods --all-namespaces";
+// Identifies a forward in --output json events
+function getForwardIds(cfg) {
+  return {
+    label: getForwardLabel(cfg),
+    service: cfg.selectedService,
+    environment: cfg.environment,
+    namespace: cfg.serviceNamespace,
+    context: cfg.context || "",
+    localPort: cfg.localPort,
+    servicePort: cfg.servicePort,
+  };
+}
 
-  print(c.green, `\n> ${getPodsCommand}`);
-  spinner.start("Loading services");
+// One NDJSON line on stdout, e.g. {"time":"...","type":"forward_ready","service":"orders",...}; a no-op without --output json
+function emitEvent(type, fields = {}) {
+  if (!jsonOutput) return;
+  process.stdout.write(
+    `${JSON.stringify({ time: new Date().toISOString(), type, ...fields })}\n`,
+  );
+}
 
-  const podsData = await execPromise(getPodsCommand);
+function print(colorCode, text) {
+  if (sessionRecorder) sessionRecorder.write(text);
+  if (outputInterceptor) return outputInterceptor(colorCode, text);
+  return getTextOutput().write(`${colorText(colorCode, text)}\n`);
+}
+
+// function sleep(ms) {
+//   return new Promise((resolve) => setTimeout(resolve, ms));
+// }
+
+function isValidPort(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && n <= 65535;
+}
+
+// Kubernetes naming rules: namespaces and containers are DNS-1123 labels, the rest DNS-1123 subdomains
+const dnsLabelRule = {
+  pattern: /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/,
+  maxLength: 63,
+  hint: 'lowercase letters, digits and "-", starting and ending with a letter or digit, at most 63 characters',
+};
+const dnsSubdomainRule = {
+  pattern: /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/,
+  maxLength: 253,
+  hint: 'lowercase letters, digits, "-" and ".", starting and ending with a letter or digit, at most 253 characters',
+};
+const kubernetesNameRules = {
+  namespace: dnsLabelRule,
+  container: dnsLabelRule,
+  pod: dnsSubdomainRule,
+  service: dnsSubdomainRule,
+  deployment: dnsSubdomainRule,
+};
+
+function isKubernetesName(kind, value) {
+  const rule = kubernetesNameRules[kind];
+  return (
+    typeof value === "string" &&
+    value.length <= rule.maxLength &&
+    rule.pattern.test(value)
+  );
+}
+
+function assertKubernetesName(kind, value) {
+  if (!isKubernetesName(kind, value)) {
+    throw new Error(
+      `Invalid ${kind} name ${JSON.stringify(String(value ?? ""))}: expected ${kubernetesNameRules[kind].hint}.`,
+    );
+  }
+}
+
+// Context names and paths are free-form, but must not read as a flag or carry control characters
+function isSafeKubectlValue(value) {
+  return (
+    typeof value === "string" &&
+    value !== "" &&
+    !value.startsWith("-") &&
+    !/[\x00-\x1f\x7f]/.test(value)
+  );
+}
+
+function assertSafeKubectlValue(what, value) {
+  if (!isSafeKubectlValue(value)) {
+    throw new Error(
+      `Invalid ${what} ${JSON.stringify(String(value ?? ""))}: it must not be empty, start with "-" or contain control characters.`,
+    );
+  }
+}
+
+// Checks everything a forward config puts on a kubectl command line before anything is run
+function validateForwardConfig(cfg) {
+  const label = getForwardLabel(cfg);
+  if (!targetKinds.includes(cfg.targetKind)) {
+    throw new Error(
+      `Invalid target "${cfg.targetKind}" for ${label}. Expected one of: ${targetKinds.join(", ")}.`,
+    );
+  }
+  assertKubernetesName("namespace", cfg.serviceNamespace);
+  assertKubernetesName("pod", cfg.podName);
+  if (cfg.targetKind !== "pod") {
+    assertKubernetesName(
+      cfg.targetKind === "svc" ? "service" : "deployment",
+      cfg.serviceName,
+    );
+  }
+  if (cfg.logsContainer && cfg.logsContainer !== allContainers) {
+    assertKubernetesName("container", cfg.logsContainer);
+  }
+  for (const port of [cfg.localPort, cfg.servicePort]) {
+    if (!isValidPort(port)) {
+      throw new Error(
+        `Invalid port "${port}" for ${label}. Enter a number between 1 and 65535.`,
+      );
+    }
+  }
+  if (cfg.address && !parseBindAddresses(cfg.address)) {
+    throw new Error(
+      `Invalid address "${cfg.address}" for ${label}. Expected localhost, an IP address or a comma-separated list of them.`,
+    );
+  }
+  if (cfg.context) assertSafeKubectlValue("context", cfg.context);
+  if (cfg.kubeconfig) assertSafeKubectlValue("kubeconfig path", cfg.kubeconfig);
+  return cfg;
+}
+
+function getEnvLabel(environment) {
+  return environment !== "default" ? `${environment}~` : "";
+}
+
+// kubectl port-forward --address: "localhost" (its default), IP addresses, or a comma-separated list
+function parseBindAddresses(value) {
+  const addresses = String(value || "")
+    .split(",")
+    .map((address) => address.trim());
+  const valid = addresses.every(
+    (address) => address === "localhost" || net.isIP(address) !== 0,
+  );
+  return valid ? addresses : null;
+}
+
+function isLoopbackAddress(address) {
+  return (
+    address === "localhost" || address === "::1" || address.startsWith("127.")
+  );
+}
+
+// Addresses of a forward that other machines or containers can connect to
+function getExposedAddresses(cfg) {
+  return (parseBindAddresses(cfg.address) || []).filter(
+    (address) => !isLoopbackAddress(address),
+  );
+}
+
+// Hosts a forward is reachable on: a wildcard bind lists localhost plus this machine's interface addresses
+function getReachableHosts(cfg) {
+  const hosts = [];
+  for (const address of parseBindAddresses(cfg.address || "localhost") || []) {
+    if (address === "0.0.0.0" || address === "::") {
+      hosts.push("localhost");
+      for (const entries of Object.values(os.networkInterfaces())) {
+        for (const entry of entries || []) {
+          const family = entry.family === 4 ? "IPv4" : entry.family;
+          if (entry.internal || entry.address.startsWith("fe80:")) continue;
+          if (family === "IPv4" || address === "::") hosts.push(entry.address);
+        }
+      }
+    } else {
+      hosts.push(address);
+    }
+  }
+  return [...new Set(hosts)];
+}
+
+function getServiceUrls(cfg) {
+  return getReachableHosts(cfg).map((host) =>
+    net.isIPv6(host)
+      ? `http://[${host}]:${cfg.localPort}`
+      : `http://${host}:${cfg.localPort}`,
+  );
+}
+
+// Where the health checks connect to: loopback unless the forward only listens on other addresses
+function getProbeHost(cfg) {
+  const [host] = getReachableHosts(cfg);
+  return host === "localhost" ? "127.0.0.1" : host;
+}
+
+// Binding beyond localhost publishes cluster services to the network, so it needs a yes (or a warning when not interactive)
+async function confirmExposedBindings(selectedConfigs) {
+  const exposed = selectedConfigs.filter(
+    (cfg) => getExposedAddresses(cfg).length > 0,
+  );
+  if (exposed.length === 0) return true;
+
+  print(
+    c.red,
+    "\nWarning: these forwards will listen beyond localhost. Anyone who can reach these addresses (other machines on the network, containers) can use the services without any authentication:",
+  );
+  for (const cfg of exposed) {
+    print(
+      c.yellow,
+      `  [${getForwardLabel(cfg)}] ${getExposedAddresses(cfg).join(", ")}`,
+    );
+  }
+  if (!process.stdin.isTTY) return true;
+
+  const answer = await prompt(`${c.yellow}Continue? (y/N): ${c.reset}`);
+  return /^y(es)?$/i.test(answer);
+}
+
+// Resource passed to kubectl port-forward: the pod itself, or svc/<name> / deploy/<name> so kubectl picks a backing pod
+function getForwardTarget(cfg) {
+  return cfg.targetKind === "pod"
+    ? cfg.podName
+    : `${cfg.targetKind}/${cfg.serviceName}`;
+}
+
+// Label used in output prefixes and log window titles, e.g. "dev~orders:3000" or "svc/dev~orders:3000@staging"
+function getForwardLabel(cfg) {
+  const kindLabel = cfg.targetKind === "pod" ? "" : `${cfg.targetKind}/`;
+  const contextLabel = cfg.context ? `@${cfg.context}` : "";
+  return `${kindLabel}${cfg.envLabel}${cfg.selectedService}:${cfg.localPort}${contextLabel}`;
+}
+
+// Tries to bind the port on the loopback addresses kubectl port-forward listens on.
+// Resolves null when the port is free, otherwise the bind error code (e.g. "EADDRINUSE").
+// Test-binds the port on each address kubectl will listen on (--address; the loopbacks by default)
+async function checkLocalPort(port, address) {
+  const hosts = (parseBindAddresses(address) || ["localhost"]).flatMap(
+    (host) => (host === "localhost" ? ["127.0.0.1", "::1"] : [host]),
+  );
+  const tryListen = (host) =>
+    new Promise((resolve) => {
+      const server = net.createServer();
+      server.once("error", (error) => {
+        // No IPv6 loopback on this machine: kubectl won't use it either
+        const unsupported =
+          error.code === "EADDRNOTAVAIL" || error.code === "EAFNOSUPPORT";
+        resolve(unsupported ? null : error.code);
+      });
+      server.once("listening", () => server.close(() => resolve(null)));
+      server.listen({ port: Number(port), host, exclusive: true });
+    });
+
+  for (const host of hosts) {
+    const error = await tryListen(host);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Best-effort lookup of the process listening on a port, e.g. "node (pid 4242)"
+async function findPortOwner(port) {
+  try {
+    if (process.platform === "win32") {
+      const netstat = await execPromise("netstat", ["-ano", "-p", "TCP"]);
+      const line = netstat
+        .split(/\r?\n/)
+        .find((l) => /LISTENING/.test(l) && l.includes(`:${port} `));
+      if (!line) return null;
+
+      const pid = line.trim().split(/\s+/).pop();
+      const tasklist = await execPromise("tasklist", [
+        "/FI",
+        `PID eq ${pid}`,
+        "/FO",
+        "CSV",
+        "/NH",
+      ]);
+      const name = (tasklist.match(/^"([^"]+)"/) || [])[1];
+      return name ? `${name} (pid ${pid})` : `pid ${pid}`;
+    }
+
+    const lsof = await execPromise("lsof", [
+      "-nP",
+      `-iTCP:${port}`,
+      "-sTCP:LISTEN",
+      "-Fpc",
+    ]);
+    const pid = (lsof.match(/^p(\d+)/m) || [])[1];
+    const name = (lsof.match(/^c(.+)$/m) || [])[1];
+    if (pid) return name ? `${name} (pid ${pid})` : `pid ${pid}`;
+  } catch {
+    // lsof/netstat missing or nothing found
+  }
+  return null;
+}
+
+async function describeBusyPort(port, errorCode) {
+  if (errorCode !== "EADDRINUSE") {
+    return `Port ${port} cannot be used on this machine (${errorCode}).`;
+  }
+  const owner = await findPortOwner(port);
+  return owner
+    ? `Port ${port} is already in use by ${owner}.`
+    : `Port ${port} is already in use on this machine.`;
+}
+
+// Skips ports taken earlier in this session as well as ports already bound on the machine
+async function nextAvailablePort(startPort, reservedPorts) {
+  let p = startPort;
+  while (
+    p < 65535 &&
+    (reservedPorts.has(String(p)) || (await checkLocalPort(p)))
+  ) {
+    p++;
+  }
+  return String(p);
+}
+
+// Parses a selection string like "1,3,5" (1-based indices), ranges (2-7) and name patterns (order*, *-api) matched against "names"
+function parseMultiSelect(input, max, names = []) {
+  const raw = String(input ?? "").trim();
+  if (!raw) return [];
+
+  const result = new Set();
+  const parts = raw
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const from = Number.parseInt(range[1], 10);
+      const to = Number.parseInt(range[2], 10);
+      if (from < 1 || to > max || from > to) return null;
+      for (let n = from; n <= to; n++) result.add(n);
+      continue;
+    }
+
+    if (/^\d+$/.test(part)) {
+      const n = Number.parseInt(part, 10);
+      if (n < 1 || n > max) return null;
+      result.add(n);
+      continue;
+    }
+
+    const pattern = new RegExp(
+      `^${part
+        .split("*")
+        .map((text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*")}$`,
+      "i",
+    );
+    const matches = names
+      .slice(0, max)
+      .map((name, index) => (pattern.test(String(name)) ? index + 1 : 0))
+      .filter(Boolean);
+    if (matches.length === 0) return null;
+    matches.forEach((n) => result.add(n));
+  }
+
+  return Array.from(result).sort((x, y) => x - y);
+}
+
+// Characters of the query must appear in order; earlier and contiguous matches score higher
+function fuzzyScore(query, text) {
+  if (!query) return 0;
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of q) {
+    const found = t.indexOf(char, position);
+    if (found === -1) return -1;
+    score += found === previous + 1 ? 3 : 1;
+    if (found === 0) score += 2;
+    previous = found;
+    position = found + 1;
+  }
+
+  return score - t.length / 100;
+}
+
+function canUsePicker() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY && !jsonOutput);
+}
+
+// Type-to-filter list with arrow keys (and space to toggle when "multiple"); resolves to item indexes
+function pickFromList({ title, items, multiple = false, defaultIndex = 0 }) {
+  return new Promise((resolve) => {
+    const maxVisible = Math.max(
+      Math.min((process.stdout.rows || 24) - 5, 15),
+      3,
+    );
+    const selected = new Set();
+    let query = "";
+    let cursor = 0;
+    let matches = [];
+    let renderedLines = 0;
+
+    const filter = () => {
+      matches = items
+        .map((item, index) => ({ index, score: fuzzyScore(query, item) }))
+        .filter((match) => match.score >= 0);
+      if (query) matches.sort((a, b) => b.score - a.score);
+      cursor = Math.min(cursor, Math.max(matches.length - 1, 0));
+    };
+
+    const render = () => {
+      const width = process.stdout.columns || 80;
+      const start = Math.min(
+        Math.max(cursor - Math.floor(maxVisible / 2), 0),
+        Math.max(matches.length - maxVisible, 0),
+      );
+      const lines = [
+        colorText(c.yellow, `${title} ${query ? "" : "(type to filter)"}`),
+        colorText(c.cyan, `> ${query}`),
+      ];
+      matches.slice(start, start + maxVisible).forEach((match, offset) => {
+        const isCursor = start + offset === cursor;
+        const box = multiple
+          ? selected.has(match.index)
+            ? "[x] "
+            : "[ ] "
+          : "";
+        const text = `${isCursor ? "❯" : " "} ${box}${items[match.index]}`;
+        lines.push(
+          colorText(isCursor ? c.green : c.reset, text.slice(0, width - 1)),
+        );
+      });
+      if (matches.length === 0) lines.push(colorText(c.red, "  No matches"));
+      const hint = multiple
+        ? "↑/↓ move · space toggle · enter confirm · esc cancel"
+        : "↑/↓ move · enter select · esc cancel";
+      lines.push(
+        colorText(
+          c.magenta,
+          `  ${matches.length}/${items.length} · ${hint}${multiple ? ` · ${selected.size} selected` : ""}`,
+        ),
+      );
+
+      const up = renderedLines > 1 ? `\x1b[${renderedLines - 1}A` : "";
+      process.stdout.write(`${up}\r\x1b[0J${lines.join("\n")}`);
+      renderedLines = lines.length;
+    };
+
+    // readline keeps handling keypresses while paused, so it is detached until the picker is done
+    const rlKeypressListeners = process.stdin.listeners("keypress");
+    process.stdin.removeAllListeners("keypress");
+    readline.emitKeypressEvents(process.stdin);
+    // An open readline interface keeps stdin in raw mode for its line editing
+    const wasRaw = process.stdin.isRaw;
+
+    const finish = (result) => {
+      process.stdin.off("keypress", onKeypress);
+      process.stdin.setRawMode(wasRaw);
+      // A flowing stdin keeps the process alive; the next readline question resumes it
+      process.stdin.pause();
+      rlKeypressListeners.forEach((listener) =>
+        process.stdin.on("keypress", listener),
+      );
+      process.stdout.write("\x1b[?25h\n");
+      resolve(result);
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === "c") {
+        finish(null);
+        process.kill(process.pid, "SIGINT");
+        return;
+      }
+
+      if (key.name === "return" || key.name === "enter") {
+        if (multiple && selected.size > 0) {
+          return finish(Array.from(selected).sort((a, b) => a - b));
+        }
+        if (matches.length === 0) return;
+        return finish([matches[cursor].index]);
+      } else if (key.name === "escape") {
+        if (!query) return finish(null);
+        query = "";
+      } else if (key.name === "up") {
+        cursor = Math.max(cursor - 1, 0);
+      } else if (key.name === "down") {
+        cursor = Math.min(cursor + 1, Math.max(matches.length - 1, 0));
+      } else if (key.name === "space" && multiple) {
+        if (matches.length === 0) return;
+        const index = matches[cursor].index;
+        if (selected.has(index)) {
+          selected.delete(index);
+        } else {
+          selected.add(index);
+        }
+      } else if (key.name === "backspace") {
+        query = query.slice(0, -1);
+      } else if (str && !key.ctrl && !key.meta && /^[\x20-\x7e]$/.test(str)) {
+        query += str;
+      } else {
+        return;
+      }
+
+      filter();
+      render();
+    };
+
+    filter();
+    cursor = Math.min(
+      Math.max(defaultIndex, 0),
+      Math.max(matches.length - 1, 0),
+    );
+    process.stdin.setRawMode(true);
+    process.stdin.on("keypress", onKeypress);
+    process.stdin.resume();
+    process.stdout.write("\x1b[?25l");
+    render();
+  });
+}
+
+function toLines(data) {
+  const text = data instanceof Buffer ? data.toString("utf8") : String(data);
+  const lines = text.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n");
+  // Avoid printing a trailing empty line produced by split when input ends with newline
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function writePrefixedLines(colorCode, prefix, data) {
+  for (const line of toLines(data)) {
+    if (sessionRecorder) sessionRecorder.write(`${prefix} ${line}`);
+    if (outputInterceptor) {
+      outputInterceptor(colorCode, `${prefix} ${line}`);
+    } else {
+      getTextOutput().write(colorText(colorCode, `${prefix} ${line}`) + "\n");
+    }
+  }
+}
+
+function Spinner() {
+  const spinnerChars = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+  let index = 0;
+  let intervalId = null;
+  let message = "";
+
+  return {
+    start(newMessage) {
+      if (intervalId) return; // Spinner is already running
+      // "\r" frames only make sense on a terminal, not in pipes, files or --output json
+      if (!process.stdout.isTTY || jsonOutput) return;
+
+      message = newMessage;
+      process.stdout.write(`${message}...`); // Write the message first
+
+      intervalId = setInterval(() => {
+        process.stdout.write(`\r${message}...${spinnerChars[index]}`);
+        index = (index + 1) % spinnerChars.length;
+      }, 100); // Adjust the speed by changing the interval (in milliseconds)
+    },
+
+    stop() {
+      if (intervalId) {
+        clearInterval(intervalId);
+        intervalId = null;
+        process.stdout.write(`\r${message}...done.\n`); // Overwrite the spinner with "done."
+      }
+    },
+  };
+}
+
+// Best-effort: try to stop kubectl and, on Windows, also kill the full process tree.
+function killProcess(p) {
+  if (!p || !p.pid) return;
+
+  try {
+    if (process.platform === "win32") {
+      try {
+        p.kill();
+      } catch {
+        // ignore
+      }
+
+      try {
+        const killer = spawn("taskkill", ["/PID", String(p.pid), "/T", "/F"], {
+          stdio: "ignore",
+        });
+        killer.unref();
+      } catch {
+        // ignore
+      }
+    } else {
+      try {
+        p.kill("SIGINT");
+      } catch {
+        // ignore
+      }
+
+      // If it doesn't exit quickly, force kill it.
+      const t = setTimeout(() => {
+        try {
+          p.kill("SIGKILL");
+        } catch {
+          // ignore
+        }
+      }, 1500);
+      if (typeof t.unref === "function") t.unref();
+    }
+  } catch {
+    // ignore
+  }
+}
+
+function attachGracefulShutdown({
+  closeInput,
+  forwards,
+  print,
+  c,
+  onShutdown,
+}) {
+  let isShuttingDown = false;
+
+  const shutdown = (reason) => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+
+    if (onShutdown) onShutdown(reason);
+
+    if (reason) print(c.cyan, `\nShutting down (${reason})...`);
+
+    try {
+      closeInput();
+    } catch {
+      // ignore
+    }
+
+    for (const forward of forwards) {
+      forward.stop();
+    }
+    printSessionSummary(forwards);
+
+    // Hooks started by onReady/onExit (e.g. a dev server) end with the session
+    for (const [child, { name }] of runningHooks) {
+      if (name !== "onShutdown") stopHook(child);
+    }
+
+    // Ensure we actually exit (especially on Windows where handles can linger),
+    // once the forwards are down and onShutdown hooks are done or out of time.
+    const deadline = Date.now() + hookPolicy.shutdownTimeoutMs;
+    const exitWhenDone = () => {
+      const waiting =
+        runningHooks.size > 0 ||
+        forwards.some((forward) => forward.getStatus().state !== "stopped");
+      if (!waiting || Date.now() >= deadline) process.exit(0);
+      const t = setTimeout(exitWhenDone, 200);
+      if (typeof t.unref === "function") t.unref();
+    };
+    const t = setTimeout(exitWhenDone, 200);
+    if (typeof t.unref === "function") t.unref();
+  };
+
+  process.once("SIGINT", () => shutdown("SIGINT / Ctrl+C"));
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+
+  return shutdown;
+}
+
+// Open logs in an external terminal when possible, otherwise spawn in current process.
+// Arguments are handed over as argv (or quoted for osascript/cmd.exe), never pasted into a shell line.
+function openLogsInTerminal(kubectl, logsArgs, logsTitle) {
+  // Prefixed like every other line, so the logs stay off stdout with --output json
+  const runHere = (reason) => {
+    const prefix = `[logs ${logsTitle}]`;
+    print(c.red, `${reason}; showing the logs in this terminal instead.`);
+    const p = spawn(kubectl, logsArgs, { stdio: ["ignore", "pipe", "pipe"] });
+    // Only complete lines are printed, kubectl writes in arbitrary chunks
+    let pending = "";
+    p.stdout.on("data", (data) => {
+      const lines = (pending + data.toString("utf8")).split(/\r?\n/);
+      pending = lines.pop();
+      if (lines.length > 0) {
+        writePrefixedLines(c.reset, prefix, lines.join("\n"));
+      }
+    });
+    p.stderr.on("data", (data) => writePrefixedLines(c.red, prefix, data));
+    p.on("close", () => {
+      if (pending) writePrefixedLines(c.reset, prefix, pending);
+    });
+    p.on("error", (err) =>
+      print(c.red, `Failed to run ${kubectl}: ${err.message}`),
+    );
+  };
+
+  // Tries each [command, args, options] in turn; a missing launcher or a failing exit moves on to the next
+  const launch = ([candidate, ...rest], lastError = "no terminal found") => {
+    if (!candidate) return runHere(`Failed to open terminal (${lastError})`);
+    const [command, args, options = {}] = candidate;
+    let settled = false;
+    const next = (error) => {
+      if (settled) return;
+      settled = true;
+      launch(rest, error);
+    };
+    const child = spawn(command, args, { stdio: "ignore", ...options });
+    child.on("error", (err) => next(`${command}: ${err.message}`));
+    child.on("exit", (code) => {
+      if (code) next(`${command} exited with code ${code}`);
+      else settled = true;
+    });
+  };
+
+  if (process.platform === "win32") {
+    // cmd.exe has no dependable escaping for these, so such arguments are refused rather than quoted
+    const unsafe = [kubectl, ...logsArgs, logsTitle].find((arg) =>
+      /["%!^&|<>\r\n]/.test(arg),
+    );
+    if (unsafe) {
+      return runHere(`Cannot pass ${JSON.stringify(unsafe)} to cmd.exe`);
+    }
+    // Open a new cmd window with a title and run the logs command (keeps window open)
+    const commandLine = [kubectl, ...logsArgs]
+      .map((arg) => `"${arg}"`)
+      .join(" ");
+    launch([
+      [
+        "cmd.exe",
+        [
+          "/d",
+          "/c",
+          "start",
+          `"${logsTitle}"`,
+          "cmd.exe",
+          "/k",
+          `"${commandLine}"`,
+        ],
+        { windowsVerbatimArguments: true },
+      ],
+    ]);
+  } else if (process.platform === "darwin") {
+    // Open a new Terminal window on macOS; the command is shell-quoted, then escaped as an AppleScript string
+    const appleScriptString = (text) =>
+      `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+    const command = [kubectl, ...logsArgs].map(shellQuote).join(" ");
+    launch([
+      [
+        "osascript",
+        [
+          "-e",
+          `tell application "Terminal"`,
+          "-e",
+          `set newTab to do script ${appleScriptString(command)}`,
+          "-e",
+          `set custom title of newTab to ${appleScriptString(logsTitle)}`,
+          "-e",
+          "activate",
+          "-e",
+          "end tell",
+        ],
+      ],
+    ]);
+  } else {
+    // Try common Linux terminals; bash gets the title as $1 and the command as the remaining arguments
+    const script = 'printf "\\033]0;%s\\007" "$1"; shift; "$@"; exec bash';
+    const bashArgs = [
+      "bash",
+      "-c",
+      script,
+      "bash",
+      logsTitle,
+      kubectl,
+      ...logsArgs,
+    ];
+    launch([
+      ["gnome-terminal", ["--", ...bashArgs]],
+      ["x-terminal-emulator", ["-e", ...bashArgs]],
+      ["xterm", ["-T", logsTitle, "-e", ...bashArgs]],
+    ]);
+  }
+}
+
+// Global kubectl flags that point a call at the chosen cluster; scope is { context, kubeconfig } (or a config)
+function kubectlScopeArgs(scope) {
+  const args = [];
+  if (scope.kubeconfig) args.push("--kubeconfig", scope.kubeconfig);
+  if (scope.context) args.push("--context", scope.context);
+  return args;
+}
+
+function getKubectl() {
+  return kubectlPath || process.env[kubectlEnvVar] || "kubectl";
+}
+
+function runKubectl(scope, args) {
+  return execPromise(getKubectl(), [...kubectlScopeArgs(scope), ...args]);
+}
+
+// POSIX single quotes for anything beyond plain flag/name characters
+function shellQuote(arg) {
+  const text = String(arg);
+  return /^[\w@%+=:,./-]+$/.test(text)
+    ? text
+    : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// Copy-pasteable form of a kubectl call, for display only; calls go through runKubectl
+function kubectlCommand(scope, args) {
+  return [getKubectl(), ...kubectlScopeArgs(scope), ...args]
+    .map(shellQuote)
+    .join(" ");
+}
+
+// With --relay kubectl listens on a random loopback port (":<remote>") and the relay owns the local port
+function getPortForwardArgs(cfg, podName = cfg.podName) {
+  const address = cfg.relay ? "127.0.0.1" : cfg.address;
+  return [
+    "port-forward",
+    ...(address ? ["--address", address] : []),
+    "--namespace",
+    cfg.serviceNamespace,
+    cfg.targetKind === "pod" ? podName : getForwardTarget(cfg),
+    cfg.relay ? `:${cfg.servicePort}` : `${cfg.localPort}:${cfg.servicePort}`,
+  ];
+}
+
+async function getContexts(kubeconfig) {
+  const getContextsArgs = ["config", "get-contexts", "-o", "name"];
+
+  print(c.green, `\n> ${kubectlCommand({ kubeconfig }, getContextsArgs)}`);
+  spinner.start("Loading contexts");
+
+  const contextsOutput = await runKubectl({ kubeconfig }, getContextsArgs);
+  const contexts = contextsOutput.trim().split(/\s+/).filter(Boolean);
+  spinner.stop();
+  emitEvent("discovery", { kind: "contexts", contexts });
+
+  return contexts;
+}
+
+async function getCurrentContext(kubeconfig) {
+  try {
+    const currentContext = await runKubectl({ kubeconfig }, [
+      "config",
+      "current-context",
+    ]);
+    return currentContext.trim();
+  } catch {
+    return "";
+  }
+}
+
+async function getNamespaces(scope = {}) {
+  const getNamespacesArgs = [
+    "get",
+    "namespaces",
+    "-o",
+    "jsonpath={.items[*].metadata.name}",
+  ];
+
+  print(c.green, `\n> ${kubectlCommand(scope, getNamespacesArgs)}`);
+  spinner.start("Loading namespaces");
+
+  const nsOutput = await runKubectl(scope, getNamespacesArgs);
+  const namespaces = nsOutput.trim().split(/\s+/);
+  spinner.stop();
+  emitEvent("discovery", {
+    kind: "namespaces",
+    context: scope.context || "",
+    namespaces,
+  });
+
+  return namespaces;
+}
+
+async function getPods(scope = {}, namespace, { silent = false } = {}) {
+  const getPodsArgs = [
+    "get",
+    "pods",
+    ...(namespace ? ["--namespace", namespace] : ["--all-namespaces"]),
+    "-o",
+    "json",
+  ];
+
+  if (silent) return runKubectl(scope, getPodsArgs);
+
+  print(c.green, `\n> ${kubectlCommand(scope, getPodsArgs)}`);
+  spinner.start("Loading services");
+
+  const podsData = await runKubectl(scope, getPodsArgs);
   spinner.stop();
 
-  return podsData;
+  return podsData;
+}
+
+// Looks up a Running pod for the same service/environment (the original one may be gone after a rollout)
+async function findServiceDetails(cfg) {
+  const podsData = await getPods(cfg, cfg.serviceNamespace, { silent: true });
+  const servicesMap = parseServicesMap(podsData, cfg.serviceNamespace);
+  return (servicesMap.get(cfg.selectedService) || {})[cfg.environment] || null;
+}
+
+// Stays on the given pod (e.g. a replica the user picked) while it is still Running; otherwise the best replica
+function choosePodName(serviceDetails, podName) {
+  return serviceDetails.pods.some((pod) => pod.name === podName)
+    ? podName
+    : serviceDetails.podName;
+}
+
+async function findRunningPod(cfg, podName = cfg.podName) {
+  const serviceDetails = await findServiceDetails(cfg);
+  return serviceDetails ? choosePodName(serviceDetails, podName) : null;
+}
+
+// Reads every port declared on the Kubernetes service as { name, port, targetPort }
+async function getServicePorts(
+  scope = {},
+  serviceNamespace,
+  serviceName,
+  { silent = false } = {},
+) {
+  const getServicePortsArgs = [
+    "get",
+    "service",
+    "--namespace",
+    serviceNamespace,
+    serviceName,
+    "-o",
+    "json",
+  ];
+  if (!silent) {
+    print(c.green, `\n> ${kubectlCommand(scope, getServicePortsArgs)}`);
+    spinner.start("Detecting ports on the Kubernetes service");
+  }
+
+  try {
+    const service = JSON.parse(await runKubectl(scope, getServicePortsArgs));
+    spinner.stop();
+
+    const servicePorts = ((service.spec && service.spec.ports) || []).map(
+      (p) => ({
+        name: p.name || "",
+        port: String(p.port),
+        targetPort: String(p.targetPort ?? p.port),
+      }),
+    );
+    if (!silent) {
+      print(
+        c.cyan,
+        `Ports detected: ${servicePorts.map(formatServicePort).join(", ")}\n`,
+      );
+    }
+    return servicePorts;
+  } catch (error) {
+    spinner.stop();
+    if (!silent) console.error(`Error detecting port: ${error}`);
+    return [];
+  }
+}
+
+function formatServicePort(servicePort) {
+  const name = servicePort.name ? `${servicePort.name} ` : "";
+  return `${name}${servicePort.port}→${servicePort.targetPort}`;
+}
+
+// A Service listens on "port"; pods (also behind deploy/) listen on "targetPort", looked up in the
+// pod's container ports when it is a name. The Service port is only the fallback for an unknown name.
+function getRemotePort(servicePort, targetKind, containerPorts = []) {
+  if (targetKind === "svc") return servicePort.port;
+  if (isValidPort(servicePort.targetPort)) return servicePort.targetPort;
+  const namedPort = containerPorts.find(
+    (port) => port.name && port.name === servicePort.targetPort,
+  );
+  return namedPort ? namedPort.containerPort : servicePort.port;
+}
+
+// Reads the config file; the default location is optional, an explicit --config path is not
+function loadConfig(configPath) {
+  const resolvedPath = configPath
+    ? path.resolve(configPath)
+    : defaultConfigPath;
+  if (!fs.existsSync(resolvedPath)) {
+    if (configPath) throw new Error(`Config file not found: ${resolvedPath}`);
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(resolvedPath, "utf8")) || {};
+  } catch (error) {
+    throw new Error(`Invalid config file ${resolvedPath}: ${error.message}`);
+  }
+}
+
+function getProfilePath(name) {
+  // Allow pointing at a profile file directly, e.g. --profile ./team/backend.json
+  if (name.endsWith(".json") || name.includes("/") || name.includes(path.sep)) {
+    return path.resolve(name);
+  }
+  return path.join(profilesDir, `${name}.json`);
+}
+
+function readProfile(profilePath) {
+  if (!fs.existsSync(profilePath)) return null;
+
+  const profile = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+  if (!profile || typeof profile.stacks !== "object" || !profile.stacks) {
+    throw new Error(
+      `Invalid profile ${profilePath}: expected a "stacks" object.`,
+    );
+  }
+  return profile;
+}
+
+// Profiles reference services by short name and environment (never by pod ID) so they survive pod replacements
+function toProfileEntry(cfg) {
+  return {
+    context: cfg.context || undefined,
+    service: cfg.selectedService,
+    environment: cfg.environment,
+    namespace: cfg.serviceNamespace,
+    target: cfg.targetKind,
+    portName: cfg.portName,
+    localPort: cfg.localPort,
+    servicePort: cfg.servicePort,
+    address: cfg.address || undefined,
+    relay: cfg.relay || undefined,
+    hooks: cfg.hooks || undefined,
+    showLogs: cfg.showLogs,
+    logsContainer: cfg.logsContainer || undefined,
+    healthCheck: cfg.healthCheck,
+    healthInterval: cfg.healthInterval,
+  };
+}
+
+function saveProfile(name, stackName, selectedConfigs) {
+  const profilePath = getProfilePath(name);
+  const profile = readProfile(profilePath) || { stacks: {} };
+  profile.stacks[stackName] = selectedConfigs.map(toProfileEntry);
+
+  fs.mkdirSync(path.dirname(profilePath), { recursive: true });
+  fs.writeFileSync(profilePath, `${JSON.stringify(profile, null, 2)}\n`);
+  return profilePath;
+}
+
+async function offerToSaveProfile(selectedConfigs) {
+  const name = await prompt(
+    colorText(
+      c.yellow,
+      "Save this setup as a profile? Enter a name (leave empty to skip): ",
+    ),
+  );
+  if (!name) return;
+
+  const stackAnswer = await prompt(
+    colorText(
+      c.yellow,
+      `Stack name within the profile (default: ${defaultStackName}): `,
+    ),
+  );
+
+  try {
+    const profilePath = saveProfile(
+      name,
+      stackAnswer || defaultStackName,
+      selectedConfigs,
+    );
+    print(c.cyan, `Profile saved: ${profilePath}`);
+    print(
+      c.cyan,
+      `Next time run: node ./k8s-port-forward-script.js --profile ${name}`,
+    );
+  } catch (error) {
+    print(c.red, `Failed to save profile: ${error.message}`);
+  }
+}
+
+// Builds the configs for a profile's stacks (all of them by default), resolving a Running pod for each entry.
+// Entries without a context use defaultScope.context; the kubeconfig always comes from the command line.
+async function loadProfileConfigs(name, stackList, defaultScope) {
+  const profilePath = getProfilePath(name);
+  const profile = readProfile(profilePath);
+  if (!profile) {
+    throw new Error(`Profile not found: ${profilePath}`);
+  }
+
+  const stackNames = stackList
+    ? stackList
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : Object.keys(profile.stacks);
+
+  const entries = [];
+  for (const stackName of stackNames) {
+    const stack = profile.stacks[stackName];
+    if (!Array.isArray(stack)) {
+      throw new Error(
+        `Stack "${stackName}" not found in ${profilePath}. Available stacks: ${Object.keys(
+          profile.stacks,
+        ).join(", ")}`,
+      );
+    }
+    entries.push(...stack);
+  }
+  print(
+    c.cyan,
+    `Using profile ${profilePath} (stacks: ${stackNames.join(", ")})`,
+  );
+
+  // Pods are loaded once per context and namespace
+  const servicesMaps = new Map();
+  const selectedConfigs = [];
+  const reservedLocalPorts = new Set();
+
+  for (const entry of entries) {
+    if (
+      !entry.service ||
+      !entry.environment ||
+      !entry.namespace ||
+      (entry.target && !targetKinds.includes(entry.target)) ||
+      (entry.healthCheck && !parseHealthCheck(entry.healthCheck)) ||
+      (entry.address && !parseBindAddresses(entry.address)) ||
+      !isValidPort(entry.localPort) ||
+      !isValidPort(entry.servicePort)
+    ) {
+      print(c.red, `Invalid profile entry ${JSON.stringify(entry)}. Skipping.`);
+      continue;
+    }
+
+    const envLabel = getEnvLabel(entry.environment);
+    try {
+      assertKubernetesName("namespace", entry.namespace);
+      if (entry.logsContainer && entry.logsContainer !== allContainers) {
+        assertKubernetesName("container", entry.logsContainer);
+      }
+      if (entry.context) assertSafeKubectlValue("context", entry.context);
+      if (entry.hooks)
+        assertValidHooks(entry.hooks, `${envLabel}${entry.service}`);
+    } catch (error) {
+      print(c.red, `${error.message} Skipping ${envLabel}${entry.service}.`);
+      continue;
+    }
+    const localPort = String(entry.localPort);
+    if (reservedLocalPorts.has(localPort)) {
+      print(
+        c.red,
+        `Port ${localPort} for ${envLabel}${entry.service} is already used by another profile entry. Skipping.`,
+      );
+      continue;
+    }
+    const portError = await checkLocalPort(localPort, entry.address);
+    if (portError) {
+      print(
+        c.red,
+        `${await describeBusyPort(localPort, portError)} Skipping ${envLabel}${entry.service}.`,
+      );
+      continue;
+    }
+
+    const scope = {
+      context: entry.context || defaultScope.context,
+      kubeconfig: defaultScope.kubeconfig,
+    };
+    const servicesMapKey = `${scope.context || ""}/${entry.namespace}`;
+    if (!servicesMaps.has(servicesMapKey)) {
+      const podsData = await getPods(scope, entry.namespace);
+      servicesMaps.set(
+        servicesMapKey,
+        parseServicesMap(podsData, entry.namespace),
+      );
+    }
+    const serviceDetails = (servicesMaps
+      .get(servicesMapKey)
+      .get(entry.service) || {})[entry.environment];
+    if (!serviceDetails) {
+      print(
+        c.red,
+        `No Running pod found for ${envLabel}${entry.service} in namespace ${entry.namespace}. Skipping.`,
+      );
+      continue;
+    }
+
+    reservedLocalPorts.add(localPort);
+    selectedConfigs.push({
+      context: scope.context,
+      kubeconfig: scope.kubeconfig,
+      selectedService: entry.service,
+      environment: entry.environment,
+      envLabel,
+      podName: serviceDetails.podName,
+      serviceName: serviceDetails.serviceName,
+      serviceNamespace: entry.namespace,
+      targetKind: entry.target || "pod",
+      portName: entry.portName || "",
+      localPort,
+      servicePort: String(entry.servicePort),
+      address: entry.address || "",
+      relay: Boolean(entry.relay),
+      hooks: entry.hooks,
+      showLogs: entry.showLogs !== false,
+      logsContainer: entry.logsContainer || "",
+      healthCheck: entry.healthCheck,
+      healthInterval: entry.healthInterval,
+    });
+  }
+
+  return selectedConfigs;
+}
+
+// Parses a --health-check value: "tcp", "http" or "http:<PATH>" (e.g. "http:/health")
+function parseHealthCheck(value) {
+  const [type, ...rest] = String(value).split(":");
+  const urlPath = rest.join(":");
+  if (type === "tcp" && !urlPath) return { type };
+  if (type === "http" && (!urlPath || urlPath.startsWith("/"))) {
+    return { type, path: urlPath || "/" };
+  }
+  return null;
+}
+
+function probeTcp(host, port, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port: Number(port) });
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy(new Error(`timed out after ${timeoutMs}ms`));
+    });
+    socket.once("connect", () => {
+      socket.end();
+      resolve();
+    });
+    socket.once("error", reject);
+  });
+}
+
+function probeHttp(host, port, urlPath, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(
+      {
+        host,
+        port: Number(port),
+        path: urlPath,
+        timeout: timeoutMs,
+      },
+      (res) => {
+        res.resume();
+        if (res.statusCode < 400) {
+          resolve();
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}`));
+        }
+      },
+    );
+    req.on("timeout", () => {
+      req.destroy(new Error(`timed out after ${timeoutMs}ms`));
+    });
+    req.on("error", reject);
+  });
+}
+
+// Compact age as in "kubectl get pods", e.g. 45s, 12m, 3h, 5d
+function formatAge(startTime) {
+  const seconds = Math.max(
+    Math.floor((Date.now() - Date.parse(startTime)) / 1000),
+    0,
+  );
+  if (Number.isNaN(seconds)) return "-";
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// e.g. "12 connections (1 active, 0 failed), 3.4 KB in, 120.0 KB out, connect 4ms avg / 15ms max"
+function formatTraffic(traffic) {
+  return `${traffic.connections} connections (${traffic.active} active, ${traffic.failed} failed), ${formatBytes(
+    traffic.bytesIn,
+  )} in, ${formatBytes(traffic.bytesOut)} out, connect ${traffic.avgConnectMs}ms avg / ${traffic.maxConnectMs}ms max`;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+// Probes <localPort> (on loopback or the bind address) every interval and reports healthy → failing → recovered transitions
+// "getTarget" returns the { host, port } to probe, or null while there is nothing listening yet
+function createHealthMonitor(
+  cfg,
+  prefix,
+  { writePrefixedLines } = terminalOutput,
+  getTarget = () => ({ host: getProbeHost(cfg), port: cfg.localPort }),
+) {
+  const healthCheck = parseHealthCheck(cfg.healthCheck);
+  const intervalMs =
+    (Number(cfg.healthInterval) || healthCheckPolicy.defaultIntervalSeconds) *
+    1000;
+  let state = "unknown";
+  let failures = 0;
+  let lastError = "";
+  let intervalId = null;
+  let probing = false;
+
+  const report = (colorCode, message) => {
+    writePrefixedLines(
+      colorCode,
+      prefix,
+      `[${new Date().toISOString()}] ${message}`,
+    );
+  };
+
+  const probe = async () => {
+    if (probing) return;
+    probing = true;
+    try {
+      const target = getTarget();
+      if (!target) throw new Error("kubectl is not listening yet");
+      if (healthCheck.type === "http") {
+        await probeHttp(
+          target.host,
+          target.port,
+          healthCheck.path,
+          healthCheckPolicy.timeoutMs,
+        );
+      } else {
+        await probeTcp(target.host, target.port, healthCheckPolicy.timeoutMs);
+      }
+      if (state === "failing") {
+        report(c.green, "Health check recovered.");
+      } else if (state === "unknown") {
+        report(c.green, "Health check passing.");
+      }
+      state = "healthy";
+    } catch (error) {
+      failures++;
+      lastError = `Health check: ${error.message}`;
+      if (state !== "failing") {
+        report(c.red, `Health check failing: ${error.message}`);
+      }
+      state = "failing";
+    } finally {
+      probing = false;
+    }
+  };
+
+  return {
+    start() {
+      if (!healthCheck || intervalId) return;
+      probe();
+      intervalId = setInterval(probe, intervalMs);
+    },
+
+    stop() {
+      clearInterval(intervalId);
+      intervalId = null;
+    },
+
+    getStats() {
+      return { state, failures, lastError };
+    },
+  };
+}
+
+// Opens a forward's URL in the default browser (url.dll keeps cmd.exe from parsing it on Windows)
+function openInBrowser(url, prefix, { writePrefixedLines } = terminalOutput) {
+  if (isHeadless()) {
+    writePrefixedLines(
+      c.yellow,
+      prefix,
+      `No desktop session to open ${url} in.`,
+    );
+    return;
+  }
+  const [command, args] =
+    process.platform === "win32"
+      ? ["rundll32", ["url.dll,FileProtocolHandler", url]]
+      : process.platform === "darwin"
+        ? ["open", [url]]
+        : ["xdg-open", [url]];
+  writePrefixedLines(c.cyan, prefix, `Opening ${url}`);
+  const child = spawn(command, args, { stdio: "ignore", detached: true });
+  child.on("error", (error) =>
+    writePrefixedLines(
+      c.red,
+      prefix,
+      `Failed to open ${url}: ${error.message}`,
+    ),
+  );
+  child.unref();
+}
+
+// Hook commands run in their own process group, so stopping one also stops what it started (e.g. npm run dev)
+function stopHook(child) {
+  runningHooks.get(child).stopping = true;
+  if (process.platform === "win32") {
+    killProcess(child);
+    return;
+  }
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch {
+    // already gone
+  }
+}
+
+function runHookCommand(
+  command,
+  env,
+  prefix,
+  name,
+  { writePrefixedLines } = terminalOutput,
+) {
+  return new Promise((resolve) => {
+    writePrefixedLines(c.green, prefix, `> ${command}`);
+    const child = spawn(command, {
+      shell: true,
+      env,
+      detached: process.platform !== "win32",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    runningHooks.set(child, { name, stopping: false });
+    let settled = false;
+    const done = (failure) => {
+      if (settled) return;
+      settled = true;
+      const { stopping } = runningHooks.get(child);
+      runningHooks.delete(child);
+      if (failure && !stopping) {
+        writePrefixedLines(c.red, prefix, `Hook failed: ${failure}`);
+      }
+      resolve();
+    };
+    child.stdout.on("data", (data) =>
+      writePrefixedLines(c.reset, prefix, data),
+    );
+    child.stderr.on("data", (data) =>
+      writePrefixedLines(c.yellow, prefix, data),
+    );
+    child.on("error", (error) => done(error.message));
+    child.on("close", (code, signal) => {
+      if (signal) done(`stopped by ${signal}`);
+      else done(code ? `exited with code ${code}` : null);
+    });
+  });
+}
+
+// Runs a forward's hook (see assertValidHooks) one action after the other. A failing hook is only reported:
+// it never rejects, so the forwards keep running. Commands get the forward in their environment.
+function runForwardHook(
+  cfg,
+  prefix,
+  name,
+  hook,
+  extraEnv = {},
+  output = terminalOutput,
+) {
+  const hookPrefix = `${prefix} [${name}]`;
+  const url = getServiceUrls(cfg)[0];
+  const env = {
+    ...process.env,
+    LOCAL_PORT: String(cfg.localPort),
+    SERVICE: cfg.selectedService,
+    ENVIRONMENT: cfg.environment,
+    NAMESPACE: cfg.serviceNamespace,
+    CONTEXT: cfg.context || "",
+    URL: url,
+    ...extraEnv,
+  };
+
+  return [].concat(hook || []).reduce(
+    (previous, action) =>
+      previous.then(() => {
+        if (typeof action === "string") {
+          return runHookCommand(action, env, hookPrefix, name, output);
+        }
+        const urlPath = action.open.replace(/^\/?/, "/");
+        return openInBrowser(
+          `${url}${urlPath === "/" ? "" : urlPath}`,
+          hookPrefix,
+          output,
+        );
+      }),
+    Promise.resolve(),
+  );
+}
+
+// Listens on a forward's local port itself and pipes every connection to kubectl's internal port (see --relay).
+// While kubectl is (re)starting, new connections are held for up to relayPolicy.holdMs instead of being refused.
+function createTcpRelay(cfg) {
+  const servers = [];
+  const sockets = new Set();
+  let pending = [];
+  let upstreamPort = null;
+  const stats = {
+    connections: 0,
+    active: 0,
+    failed: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    connected: 0,
+    totalConnectMs: 0,
+    maxConnectMs: 0,
+  };
+
+  const connect = (client, acceptedAt) => {
+    const upstream = net.connect({ host: "127.0.0.1", port: upstreamPort });
+    sockets.add(upstream);
+    let connected = false;
+
+    upstream.once("connect", () => {
+      connected = true;
+      const connectMs = Date.now() - acceptedAt;
+      stats.connected++;
+      stats.totalConnectMs += connectMs;
+      stats.maxConnectMs = Math.max(stats.maxConnectMs, connectMs);
+      client.on("data", (chunk) => {
+        stats.bytesIn += chunk.length;
+      });
+      upstream.on("data", (chunk) => {
+        stats.bytesOut += chunk.length;
+      });
+      client.pipe(upstream);
+      upstream.pipe(client);
+    });
+    upstream.on("error", () => {
+      if (!connected) stats.failed++;
+      client.destroy();
+    });
+    upstream.once("close", () => {
+      sockets.delete(upstream);
+      client.destroy();
+    });
+    client.once("close", () => upstream.destroy());
+  };
+
+  const onConnection = (client) => {
+    const acceptedAt = Date.now();
+    stats.connections++;
+    stats.active++;
+    sockets.add(client);
+    // Resets from either side just end the pair
+    client.on("error", () => {});
+    client.once("close", () => {
+      stats.active--;
+      sockets.delete(client);
+      pending = pending.filter((held) => held.client !== client);
+    });
+
+    if (upstreamPort) {
+      connect(client, acceptedAt);
+      return;
+    }
+    const timer = setTimeout(() => {
+      stats.failed++;
+      client.destroy();
+    }, relayPolicy.holdMs);
+    pending.push({ client, acceptedAt, timer });
+  };
+
+  // "localhost" means both loopback addresses, like kubectl; a missing IPv6 loopback is not an error
+  const listenOn = (host, optional) =>
+    new Promise((resolve, reject) => {
+      const server = net.createServer({ pauseOnConnect: true }, onConnection);
+      server.once("error", async (error) => {
+        const unsupported =
+          error.code === "EADDRNOTAVAIL" || error.code === "EAFNOSUPPORT";
+        if (optional && unsupported) return resolve();
+        reject(
+          new Error(
+            error.code === "EADDRINUSE"
+              ? await describeBusyPort(cfg.localPort, error.code)
+              : `Cannot listen on ${host}:${cfg.localPort} (${error.code || error.message}).`,
+          ),
+        );
+      });
+      server.listen({ port: Number(cfg.localPort), host }, () => {
+        servers.push(server);
+        resolve();
+      });
+    });
+
+  return {
+    // Resolves once every bind address is listening; a no-op while already listening
+    async listen() {
+      if (servers.length > 0) return;
+      try {
+        for (const address of parseBindAddresses(cfg.address || "localhost")) {
+          if (address === "localhost") {
+            await listenOn("127.0.0.1", false);
+            await listenOn("::1", true);
+          } else {
+            await listenOn(address, false);
+          }
+        }
+      } catch (error) {
+        this.close();
+        throw error;
+      }
+    },
+
+    // kubectl is ready on this port: connections held so far go through now
+    setUpstream(port) {
+      upstreamPort = port;
+      const held = pending;
+      pending = [];
+      for (const { client, acceptedAt, timer } of held) {
+        clearTimeout(timer);
+        connect(client, acceptedAt);
+      }
+    },
+
+    clearUpstream() {
+      upstreamPort = null;
+    },
+
+    // Where kubectl listens, for health probes that should not count as relayed traffic
+    getUpstream() {
+      return upstreamPort ? { host: "127.0.0.1", port: upstreamPort } : null;
+    },
+
+    close() {
+      upstreamPort = null;
+      for (const server of servers.splice(0)) server.close();
+      for (const { timer } of pending) clearTimeout(timer);
+      pending = [];
+      for (const socket of sockets) socket.destroy();
+    },
+
+    getStats() {
+      const { totalConnectMs, ...counts } = stats;
+      return {
+        ...counts,
+        avgConnectMs: stats.connected
+          ? Math.round(totalConnectMs / stats.connected)
+          : 0,
+      };
+    },
+  };
+}
+
+// Runs a kubectl port-forward for one config and restarts it with exponential backoff when it exits.
+function createPortForwardSupervisor(
+  cfg,
+  policy = restartPolicy,
+  output = terminalOutput,
+) {
+  const { print, writePrefixedLines } = output;
+  const prefix = `[${getForwardLabel(cfg)}]`;
+  let podName = cfg.podName;
+  let child = null;
+  let retryTimer = null;
+  let restarts = 0;
+  let readyAt = null;
+  let started = false;
+  let stopped = false;
+  let restartRequested = false;
+  // "starting" | "ready" | "restarting" | "stopped" | "failed", shown by the dashboard
+  let state = "starting";
+  let lastError = "";
+  // Totals for the exit summary
+  const startedAt = Date.now();
+  let totalRestarts = 0;
+  let upMs = 0;
+  const relay = cfg.relay ? createTcpRelay(cfg) : null;
+  // Relayed forwards are probed behind the relay, so its traffic stats only count real clients
+  const healthMonitor = createHealthMonitor(
+    cfg,
+    prefix,
+    output,
+    relay ? () => relay.getUpstream() : undefined,
+  );
+  const hooks = cfg.hooks || serviceHooks[cfg.selectedService] || {};
+  const runHook = (name, extraEnv) =>
+    runForwardHook(
+      cfg,
+      prefix,
+      name,
+      hooks[name],
+      { POD: podName, ...extraEnv },
+      output,
+    );
+  // onReady runs the first time the forward is ready, not again after every reconnect
+  let readyHookRan = false;
+  let trafficTimer = null;
+  let reportedTraffic = "";
+  // "start", "ready", "output", "exit" and "error", for startForwards() and the CLI features built on it
+  const events = new EventEmitter();
+
+  const spawnForward = () => {
+    const portForwardArgs = [
+      ...kubectlScopeArgs(cfg),
+      ...getPortForwardArgs(cfg, podName),
+    ];
+
+    const portForwardCommand = kubectlCommand(
+      cfg,
+      getPortForwardArgs(cfg, podName),
+    );
+    if (!started) {
+      started = true;
+      print(c.green, `\n> ${portForwardCommand}`);
+    } else {
+      writePrefixedLines(c.green, prefix, `> ${portForwardCommand}`);
+    }
+
+    const p = spawn(getKubectl(), portForwardArgs, {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    child = p;
+    state = "starting";
+    events.emit("start", { command: portForwardCommand });
+
+    let printedAvailable = false;
+    p.stdout.on("data", (data) => {
+      // The relay can only connect once kubectl has said which port it picked
+      const internalPort = relay
+        ? (String(data).match(/Forwarding from 127\.0\.0\.1:(\d+)/) || [])[1]
+        : null;
+      if (relay && internalPort && child === p) {
+        relay.setUpstream(Number(internalPort));
+      }
+      if (!printedAvailable && (!relay || internalPort)) {
+        printedAvailable = true;
+        readyAt = Date.now();
+        state = "ready";
+        writePrefixedLines(
+          c.magenta,
+          prefix,
+          `Service available at: ${getServiceUrls(cfg).join(", ")}`,
+        );
+        healthMonitor.start();
+        events.emit("ready");
+        if (!readyHookRan) {
+          readyHookRan = true;
+          runHook("onReady");
+        }
+      }
+      writePrefixedLines(c.green, prefix, data);
+      events.emit("output", { stream: "stdout", text: String(data) });
+    });
+
+    p.stderr.on("data", (data) => {
+      const lines = String(data).trim().split(/\r?\n/);
+      lastError = lines[lines.length - 1] || lastError;
+      writePrefixedLines(c.red, prefix, data);
+      events.emit("output", { stream: "stderr", text: String(data) });
+    });
+
+    p.on("error", (error) => {
+      lastError = `Failed to start kubectl: ${error.message}`;
+      writePrefixedLines(
+        c.red,
+        prefix,
+        `Failed to start kubectl: ${error.message}`,
+      );
+      events.emit("error", new Error(lastError));
+    });
+
+    p.on("close", (code) => {
+      if (child === p) {
+        child = null;
+        if (relay) relay.clearUpstream();
+      }
+      if (readyAt) {
+        upMs += Date.now() - readyAt;
+        if (Date.now() - readyAt >= policy.resetAfterMs) restarts = 0;
+      }
+      readyAt = null;
+      writePrefixedLines(
+        c.cyan,
+        prefix,
+        `port-forward exited with code ${code}`,
+      );
+      events.emit("exit", {
+        code,
+        restarting:
+          restartRequested || (!stopped && restarts < policy.maxRestarts),
+      });
+      runHook(stopped && !restartRequested ? "onShutdown" : "onExit", {
+        EXIT_CODE: code === null ? "" : String(code),
+      });
+
+      if (restartRequested) {
+        restartRequested = false;
+        spawnForward();
+      } else if (stopped) {
+        state = "stopped";
+      } else {
+        if (code) lastError = `port-forward exited with code ${code}`;
+        scheduleRestart();
+      }
+    });
+  };
+
+  const refreshPodName = async () => {
+    try {
+      const freshPodName = await findRunningPod(cfg, podName);
+      if (!freshPodName) {
+        writePrefixedLines(
+          c.red,
+          prefix,
+          `No Running pod found for ${cfg.envLabel}${cfg.selectedService}.`,
+        );
+        return false;
+      }
+      if (freshPodName !== podName) {
+        writePrefixedLines(c.cyan, prefix, `Switching to pod ${freshPodName}`);
+        podName = freshPodName;
+      }
+      return true;
+    } catch (error) {
+      writePrefixedLines(
+        c.red,
+        prefix,
+        `Failed to look up pods: ${error.message}`,
+      );
+      return false;
+    }
+  };
+
+  const scheduleRestart = () => {
+    if (restarts >= policy.maxRestarts) {
+      writePrefixedLines(
+        c.red,
+        prefix,
+        `Giving up after ${restarts} restart attempts.`,
+      );
+      healthMonitor.stop();
+      state = "failed";
+      events.emit(
+        "error",
+        new Error(`Giving up after ${restarts} restart attempts.`),
+      );
+      return;
+    }
+
+    restarts++;
+    totalRestarts++;
+    state = "restarting";
+    const delayMs = Math.min(
+      policy.initialDelayMs * 2 ** (restarts - 1),
+      policy.maxDelayMs,
+    );
+    writePrefixedLines(
+      c.yellow,
+      prefix,
+      `Restart attempt ${restarts}/${policy.maxRestarts} in ${delayMs / 1000}s...`,
+    );
+
+    retryTimer = setTimeout(async () => {
+      retryTimer = null;
+      if (stopped) return;
+
+      // kubectl picks a backing pod by itself for svc/ and deploy/ targets
+      if (cfg.targetKind === "pod" && !(await refreshPodName())) {
+        if (!stopped) scheduleRestart();
+        return;
+      }
+      if (stopped) return;
+
+      spawnForward();
+    }, delayMs);
+  };
+
+  // Prints the relay's traffic every statsIntervalMs, when it changed since the last report
+  const reportTraffic = () => {
+    const traffic = formatTraffic(relay.getStats());
+    if (traffic === reportedTraffic) return;
+    reportedTraffic = traffic;
+    writePrefixedLines(c.cyan, prefix, `Traffic: ${traffic}`);
+  };
+
+  // Without --relay this is just spawnForward(); with it the local port is opened first
+  const launch = () => {
+    if (!relay) {
+      spawnForward();
+      return;
+    }
+    relay.listen().then(
+      () => {
+        if (stopped) return relay.close();
+        if (!trafficTimer) {
+          trafficTimer = setInterval(
+            reportTraffic,
+            relayPolicy.statsIntervalMs,
+          );
+        }
+        spawnForward();
+      },
+      (error) => {
+        state = "failed";
+        lastError = `Relay: ${error.message}`;
+        writePrefixedLines(c.red, prefix, lastError);
+        events.emit("error", new Error(lastError));
+      },
+    );
+  };
+
+  return {
+    cfg,
+
+    on(event, listener) {
+      events.on(event, listener);
+      return this;
+    },
+
+    start() {
+      if (!stopped) launch();
+    },
+
+    stop() {
+      stopped = true;
+      restartRequested = false;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      healthMonitor.stop();
+      if (relay) {
+        clearInterval(trafficTimer);
+        trafficTimer = null;
+        relay.close();
+      }
+      if (child) {
+        killProcess(child);
+      } else if (state !== "stopped") {
+        state = "stopped";
+        runHook("onShutdown");
+      }
+    },
+
+    // Restarts right away (also brings a stopped or failed forward back) with a fresh retry budget
+    restart() {
+      writePrefixedLines(c.cyan, prefix, "Restarting on request...");
+      stopped = false;
+      restarts = 0;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      if (child) {
+        restartRequested = true;
+        killProcess(child);
+      } else {
+        launch();
+      }
+    },
+
+    getStatus() {
+      const health = cfg.healthCheck ? healthMonitor.getStats() : null;
+      return {
+        label: getForwardLabel(cfg),
+        service: cfg.selectedService,
+        environment: cfg.environment,
+        namespace: cfg.serviceNamespace,
+        context: cfg.context || "",
+        target: cfg.targetKind === "pod" ? podName : getForwardTarget(cfg),
+        podName,
+        localPort: cfg.localPort,
+        address: cfg.address || "localhost",
+        servicePort: cfg.servicePort,
+        state,
+        readySince: readyAt,
+        health: health && health.state,
+        lastError: lastError || (health ? health.lastError : ""),
+        traffic: relay ? relay.getStats() : null,
+      };
+    },
+
+    getStats() {
+      return {
+        label: getForwardLabel(cfg),
+        runningMs: Date.now() - startedAt,
+        upMs: upMs + (readyAt ? Date.now() - readyAt : 0),
+        restarts: totalRestarts,
+        health: cfg.healthCheck ? healthMonitor.getStats() : null,
+        traffic: relay ? relay.getStats() : null,
+      };
+    },
+  };
+}
+
+function printSessionSummary(forwards) {
+  if (forwards.length === 0) return;
+
+  print(c.magenta, "\nSession summary:");
+  for (const forward of forwards) {
+    const stats = forward.getStats();
+    const health = stats.health
+      ? `, health check failures ${stats.health.failures}`
+      : "";
+    print(
+      c.cyan,
+      `  [${stats.label}] uptime ${formatDuration(stats.upMs)} of ${formatDuration(
+        stats.runningMs,
+      )}, restarts ${stats.restarts}${health}`,
+    );
+    if (stats.traffic) {
+      print(c.cyan, `    traffic: ${formatTraffic(stats.traffic)}`);
+    }
+  }
+}
+
+// Turns service specs into per-service requests; fails on anything parseServicesMap didn't find
+function getServiceRequests(specs, options, servicesMap) {
+  if (specs.length > 1 && (options.localPort || options.remotePort)) {
+    throw new Error(
+      "--local-port and --remote-port can only be used with a single service. Use --service <service>:<env>:<localPort>:<remotePort> instead.",
+    );
+  }
+
+  return specs.map((spec) => {
+    const environments = servicesMap.get(spec.service);
+    if (!environments) {
+      throw new Error(
+        `Unknown service "${spec.service}". Available services: ${Array.from(
+          servicesMap.keys(),
+        )
+          .sort()
+          .join(", ")}`,
+      );
+    }
+
+    const environment = spec.environment || options.env;
+    if (environment && !environments[environment]) {
+      throw new Error(
+        `Unknown environment "${environment}" for service "${spec.service}". Available environments: ${Object.keys(
+          environments,
+        ).join(", ")}`,
+      );
+    }
+
+    return {
+      service: spec.service,
+      environment,
+      localPort: spec.localPort || options.localPort,
+      servicePort: spec.servicePort || options.remotePort,
+    };
+  });
+}
+
+async function promptContext(kubeconfig, contexts) {
+  if (contexts.length <= 1) return "";
+
+  const currentContext = await getCurrentContext(kubeconfig);
+  print(c.magenta, "\nContexts found:");
+  contexts.forEach((context, index) => {
+    const current = context === currentContext ? " (current)" : "";
+    print(c.green, `[${index + 1}] ${context}${current}`);
+  });
+
+  const contextAnswer = await prompt(
+    colorText(
+      c.yellow,
+      `Select a context by typing a number (default: ${currentContext || "current context"}): `,
+    ),
+    "--context",
+  );
+  const contextIndex = parseInt(contextAnswer) || 0;
+
+  if (
+    isNaN(contextIndex) ||
+    contextIndex < 0 ||
+    contextIndex > contexts.length
+  ) {
+    console.error(
+      "Invalid selection. Please run the script again and choose a valid number.",
+    );
+    return null;
+  }
+
+  // An empty context keeps kubectl on its current context, as before
+  return contextIndex > 0 ? contexts[contextIndex - 1] : "";
+}
+
+async function promptNamespace(scope) {
+  const namespaces = await getNamespaces(scope);
+
+  if (namespaces.length === 0) {
+    print(c.magenta, "No namespaces found.");
+    return null;
+  }
+
+  if (canUsePicker()) {
+    print(c.magenta, "");
+    const picked = await pickFromList({
+      title: "Select a namespace",
+      items: ["(all namespaces)", ...namespaces],
+    });
+    if (!picked) return null;
+    return picked[0] > 0 ? namespaces[picked[0] - 1] : "";
+  }
+
+  print(c.magenta, "\nNamespaces found:");
+  namespaces.forEach((ns, index) => {
+    print(c.green, `[${index + 1}] ${ns}`);
+  });
+
+  const nsAnswer = await prompt(
+    colorText(
+      c.yellow,
+      "Select a namespace by typing a number (default: --all-namespaces): ",
+    ),
+    "--namespace",
+  );
+  const nsIndex = parseInt(nsAnswer) || 0;
+
+  if (isNaN(nsIndex) || nsIndex < 0 || nsIndex > namespaces.length) {
+    console.error(
+      "Invalid selection. Please run the script again and choose a valid number.",
+    );
+    return null;
+  }
+
+  return nsIndex > 0 ? namespaces[nsIndex - 1] : "";
+}
+
+async function promptServices(servicesList) {
+  if (canUsePicker()) {
+    print(c.magenta, "");
+    const picked = await pickFromList({
+      title: "Select one or more services",
+      items: servicesList,
+      multiple: true,
+    });
+    return picked ? picked.map((index) => servicesList[index]) : null;
+  }
+
+  print(c.magenta, "\nServices found:");
+  servicesList.forEach((service, index) => {
+    print(c.green, `[${index + 1}] ${service}`);
+  });
+
+  const serviceAnswer = await prompt(
+    colorText(
+      c.yellow,
+      "Select one or more services by typing numbers, ranges or names (e.g. 1,3-5,order*): ",
+    ),
+    "--service",
+  );
+
+  const selectedNumbers = parseMultiSelect(
+    serviceAnswer,
+    servicesList.length,
+    servicesList,
+  );
+  if (!selectedNumbers || selectedNumbers.length === 0) {
+    console.error(
+      "Invalid selection. Please run the script again and choose valid numbers, ranges or names (e.g. 1,3-5,order*).",
+    );
+    return null;
+  }
+
+  return selectedNumbers.map((n) => servicesList[n - 1]);
+}
+
+async function promptEnvironment(selectedService, availableEnvs) {
+  if (canUsePicker()) {
+    const picked = await pickFromList({
+      title: `Select an environment for ${selectedService}`,
+      items: availableEnvs,
+    });
+    if (!picked) {
+      print(c.red, `No environment selected for ${selectedService}. Skipping.`);
+      return null;
+    }
+    return availableEnvs[picked[0]];
+  }
+
+  print(c.magenta, "Environments:");
+  availableEnvs.forEach((env, index) => {
+    print(c.green, `[${index + 1}] ${env}`);
+  });
+
+  const envAnswer = await prompt(
+    colorText(
+      c.yellow,
+      `Select an environment for ${selectedService} (default: 1): `,
+    ),
+    "--env or --service <SERVICE>:<ENV>",
+  );
+  const envChoice = Number.parseInt(envAnswer, 10) || 1;
+  if (envChoice < 1 || envChoice > availableEnvs.length) {
+    print(
+      c.red,
+      `Invalid environment selection for ${selectedService}. Skipping.`,
+    );
+    return null;
+  }
+
+  return availableEnvs[envChoice - 1];
+}
+
+// NAME / READY / RESTARTS / AGE table of a service's replicas, padded like kubectl's
+function formatReplicaTable(pods) {
+  const headers = ["NAME", "READY", "RESTARTS", "AGE"];
+  const rows = pods.map((pod) => [
+    pod.name,
+    pod.readyContainers,
+    String(pod.restarts),
+    formatAge(pod.startTime),
+  ]);
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row[column].length)),
+  );
+  const format = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+  return { header: format(headers), rows: rows.map(format) };
+}
+
+// Lists the replicas at the environment step; the first one (ready, fewest restarts) is the default
+async function promptReplica(label, pods) {
+  const { header, rows } = formatReplicaTable(pods);
+  if (canUsePicker()) {
+    print(c.magenta, "Replicas (NAME, READY, RESTARTS, AGE):");
+    const picked = await pickFromList({
+      title: `Select a replica for ${label}`,
+      items: rows,
+    });
+    if (!picked) {
+      print(c.red, `No replica selected for ${label}. Skipping.`);
+      return null;
+    }
+    return pods[picked[0]];
+  }
+
+  print(c.magenta, "Replicas:");
+  print(c.magenta, `    ${header}`);
+  rows.forEach((row, index) => {
+    print(pods[index].ready ? c.green : c.yellow, `[${index + 1}] ${row}`);
+  });
+
+  const replicaAnswer = await prompt(
+    colorText(c.yellow, `Select a replica for ${label} (default: 1): `),
+    "--env or --service <SERVICE>:<ENV>",
+  );
+  const replicaChoice = Number.parseInt(replicaAnswer, 10) || 1;
+  if (replicaChoice < 1 || replicaChoice > pods.length) {
+    print(c.red, `Invalid replica selection for ${label}. Skipping.`);
+    return null;
+  }
+
+  return pods[replicaChoice - 1];
+}
+
+async function promptTargetKind(label, serviceName, podName) {
+  const targets = [podName, `svc/${serviceName}`, `deploy/${serviceName}`];
+  print(c.magenta, "Forward to:");
+  targets.forEach((target, index) => {
+    print(c.green, `[${index + 1}] ${target}`);
+  });
+
+  while (true) {
+    const targetAnswer = await prompt(
+      colorText(c.yellow, `Select a target for ${label} (default: 1): `),
+      "--target",
+    );
+    const targetChoice = Number.parseInt(targetAnswer, 10) || 1;
+    if (targetChoice >= 1 && targetChoice <= targets.length) {
+      return targetKinds[targetChoice - 1];
+    }
+    print(c.red, "Invalid target selection. Choose one of the listed numbers.");
+  }
+}
+
+async function promptLocalPort(label, reservedLocalPorts) {
+  const suggestedLocalPort = await nextAvailablePort(3000, reservedLocalPorts);
+  while (true) {
+    const localPortAnswer = await prompt(
+      colorText(
+        c.yellow,
+        `Enter the local port for ${label} (default: ${suggestedLocalPort}): `,
+      ),
+      "--local-port or --service <SERVICE>:<ENV>:<LOCAL_PORT>",
+    );
+    const localPort = localPortAnswer || suggestedLocalPort;
+    if (!isValidPort(localPort)) {
+      print(c.red, "Invalid port. Enter a number between 1 and 65535.");
+      continue;
+    }
+    if (reservedLocalPorts.has(localPort)) {
+      print(
+        c.red,
+        `Port ${localPort} is already used by another selection. Choose another.`,
+      );
+      continue;
+    }
+    const portError = await checkLocalPort(localPort);
+    if (portError) {
+      print(
+        c.red,
+        `${await describeBusyPort(localPort, portError)} Choose another.`,
+      );
+      continue;
+    }
+    return localPort;
+  }
+}
+
+async function promptServicePorts(label, servicePorts) {
+  print(c.magenta, "Ports:");
+  servicePorts.forEach((servicePort, index) => {
+    print(c.green, `[${index + 1}] ${formatServicePort(servicePort)}`);
+  });
+
+  while (true) {
+    const portsAnswer = await prompt(
+      colorText(
+        c.yellow,
+        `Select one or more ports for ${label} by typing numbers (e.g. 1,2) (default: 1): `,
+      ),
+      "--remote-port or --service <SERVICE>:<ENV>:<LOCAL_PORT>:<REMOTE_PORT>",
+    );
+    const selectedNumbers = portsAnswer
+      ? parseMultiSelect(
+          portsAnswer,
+          servicePorts.length,
+          servicePorts.map(
+            (servicePort) => servicePort.name || servicePort.port,
+          ),
+        )
+      : [1];
+    if (selectedNumbers && selectedNumbers.length > 0) {
+      return selectedNumbers.map((n) => servicePorts[n - 1]);
+    }
+    print(c.red, "Invalid port selection. Choose one or more listed numbers.");
+  }
+}
+
+async function promptServicePort(label, servicePortDetected) {
+  const servicePortAnswer = await prompt(
+    colorText(
+      c.yellow,
+      `Enter the destination port on the Kubernetes service for ${label} (default: ${servicePortDetected}): `,
+    ),
+    "--remote-port or --service <SERVICE>:<ENV>:<LOCAL_PORT>:<REMOTE_PORT>",
+  );
+  if (servicePortAnswer && !isValidPort(servicePortAnswer)) {
+    print(
+      c.red,
+      `Invalid destination port for ${label}. Using detected/default: ${servicePortDetected}`,
+    );
+    return servicePortDetected;
+  }
+  return servicePortAnswer || servicePortDetected;
+}
+
+async function promptShowLogs(label) {
+  const logsAnswer = await prompt(
+    colorText(
+      c.yellow,
+      `Would you like to see the logs in real time for ${label}? (Y/n): `,
+    ),
+    "--logs or --no-logs",
+  );
+  const logsChoice = (logsAnswer.toLowerCase() || "y").trim();
+  return logsChoice === "y" || logsChoice === "yes" || logsChoice === "";
+}
+
+// Multi-container pods only; "" leaves the choice to kubectl
+async function promptLogsContainer(label, containers, requested) {
+  if (requested) {
+    if (requested === allContainers || containers.includes(requested)) {
+      return requested;
+    }
+    print(
+      c.red,
+      `Container "${requested}" not found for ${label} (${containers.join(", ")}). Using the default container.`,
+    );
+    return "";
+  }
+  if (containers.length <= 1) return "";
+
+  print(c.magenta, "Containers:");
+  containers.forEach((container, index) => {
+    print(c.green, `[${index + 1}] ${container}`);
+  });
+  const containerAnswer = await prompt(
+    colorText(
+      c.yellow,
+      `Select a container for the logs of ${label} (default: all containers): `,
+    ),
+    "--container",
+  );
+  const containerChoice = Number.parseInt(containerAnswer, 10);
+  if (!containerAnswer) return allContainers;
+  if (!(containerChoice >= 1 && containerChoice <= containers.length)) {
+    print(c.red, "Invalid container selection. Showing all containers.");
+    return allContainers;
+  }
+  return containers[containerChoice - 1];
+}
+
+// Builds the configs to forward from the command line flags, prompting for anything not given
+async function selectServices(options) {
+  const selectedConfigs = [];
+  const reservedLocalPorts = new Set();
+  // Only filled when the context is asked for
+  let contexts = [];
+
+  while (true) {
+    // Scripted runs stay on kubectl's current context; only the interactive flow asks
+    let context = options.context;
+    if (!context && options.service.length === 0 && process.stdin.isTTY) {
+      if (contexts.length === 0) {
+        contexts = await getContexts(options.kubeconfig);
+      }
+      context = await promptContext(options.kubeconfig, contexts);
+      if (context === null) return null;
+      if (context) print(c.cyan, `You selected context: ${context}`);
+    }
+
+    const scope = { context, kubeconfig: options.kubeconfig };
+    const configs = await selectServicesInContext(
+      options,
+      scope,
+      reservedLocalPorts,
+    );
+    if (!configs) return null;
+    selectedConfigs.push(...configs);
+
+    // Services from more than one cluster can only be combined at the context prompt
+    if (contexts.length <= 1) break;
+
+    const moreAnswer = await prompt(
+      colorText(c.yellow, "Add services from another context? (y/N): "),
+      "--context",
+    );
+    if (!["y", "yes"].includes(moreAnswer.toLowerCase())) break;
+  }
+
+  return selectedConfigs;
+}
+
+async function selectServicesInContext(options, scope, reservedLocalPorts) {
+  let namespace = options.namespace;
+
+  if (!namespace) {
+    namespace = await promptNamespace(scope);
+    if (namespace === null) return null;
+
+    namespace = namespace || undefined;
+    print(
+      c.cyan,
+      `You selected namespace: ${namespace ? namespace : "--all-namespaces"}`,
+    );
+  }
+
+  // Get pods
+  const podsData = await getPods(scope, namespace);
+
+  // Process services
+  const servicesMap = parseServicesMap(podsData, namespace);
+  const servicesList = Array.from(servicesMap.keys()).sort();
+  emitEvent("discovery", {
+    kind: "services",
+    context: scope.context || "",
+    namespace: namespace || "",
+    services: servicesList.map((service) => ({
+      service,
+      environments: Object.entries(servicesMap.get(service)).map(
+        ([environment, details]) => ({
+          environment,
+          namespace: details.namespace,
+          pods: details.pods.map((pod) => ({
+            name: pod.name,
+            ready: pod.readyContainers,
+            restarts: pod.restarts,
+          })),
+        }),
+      ),
+    })),
+  });
+
+  if (servicesList.length === 0) {
+    print(c.magenta, "No services found.");
+    return null;
+  }
+
+  let specs = options.service;
+  if (specs.length === 0) {
+    const selectedServices = await promptServices(servicesList);
+    if (!selectedServices) return null;
+
+    print(
+      c.cyan,
+      `You selected (${selectedServices.length}): ${selectedServices.join(", ")}`,
+    );
+    specs = selectedServices.map((service) => ({ service }));
+  }
+
+  const serviceRequests = getServiceRequests(specs, options, servicesMap);
+
+  // Collect configs for all selected services first (so we can run port-forwards together)
+  const selectedConfigs = [];
+
+  for (const request of serviceRequests) {
+    const selectedService = request.service;
+    print(c.magenta, `\n--- ${selectedService} ---`);
+    const availableEnvs = Object.keys(servicesMap.get(selectedService) || {});
+    if (availableEnvs.length === 0) {
+      print(c.red, `No environments found for ${selectedService}. Skipping.`);
+      continue;
+    }
+
+    const environment =
+      request.environment ||
+      (await promptEnvironment(selectedService, availableEnvs));
+    if (!environment) continue;
+
+    const serviceDetails = servicesMap.get(selectedService)[environment];
+    if (!serviceDetails) {
+      print(
+        c.red,
+        `The selected environment "${environment}" does not exist for "${selectedService}". Skipping.`,
+      );
+      continue;
+    }
+
+    const serviceName = serviceDetails.serviceName;
+    const serviceNamespace = namespace ?? serviceDetails.namespace;
+    const envLabel = getEnvLabel(environment);
+    const label = `${envLabel}${selectedService}`;
+
+    // A replica is only asked for when the environment was; otherwise the default one is used
+    let pod = serviceDetails.pods[0];
+    if (serviceDetails.pods.length > 1 && !request.environment) {
+      pod = await promptReplica(label, serviceDetails.pods);
+      if (!pod) continue;
+    } else if (serviceDetails.pods.length > 1) {
+      print(
+        c.cyan,
+        `Using replica ${pod.name} (ready ${pod.readyContainers}, ${pod.restarts} restarts) of ${serviceDetails.pods.length} running`,
+      );
+    }
+    if (!pod.ready) {
+      print(
+        c.yellow,
+        `Warning: ${pod.name} is not ready (${pod.readyContainers}, ${pod.restarts} restarts); the forward may fail until it is.`,
+      );
+    }
+    const podName = pod.name;
+
+    // Scripted runs (services from flags, or no terminal to ask at) keep forwarding to the pod
+    const targetKind =
+      options.target ||
+      (options.service.length > 0 || !process.stdin.isTTY
+        ? "pod"
+        : await promptTargetKind(label, serviceName, podName));
+
+    // Each selected port becomes its own forward: [{ portName, servicePort }]
+    let portSelections;
+    if (request.servicePort) {
+      portSelections = [{ portName: "", servicePort: request.servicePort }];
+    } else {
+      let servicePorts = await getServicePorts(
+        scope,
+        serviceNamespace,
+        serviceName,
+      );
+      // No matching Service (e.g. a StatefulSet without one): offer the ports the containers declare
+      if (servicePorts.length === 0 && targetKind !== "svc") {
+        servicePorts = serviceDetails.ports.map((p) => ({
+          name: p.name,
+          port: p.containerPort,
+          targetPort: p.containerPort,
+        }));
+      }
+      if (servicePorts.length > 1) {
+        const pickedPorts = await promptServicePorts(label, servicePorts);
+        portSelections = pickedPorts.map((servicePort) => ({
+          portName: servicePort.name,
+          servicePort: getRemotePort(
+            servicePort,
+            targetKind,
+            serviceDetails.ports,
+          ),
+        }));
+      } else {
+        const [servicePort] = servicePorts;
+        const servicePortDetected = servicePort
+          ? getRemotePort(servicePort, targetKind, serviceDetails.ports)
+          : "3000"; // Default value if detection fails
+        portSelections = [
+          {
+            portName: servicePort ? servicePort.name : "",
+            servicePort: await promptServicePort(label, servicePortDetected),
+          },
+        ];
+      }
+    }
+
+    const serviceConfigs = [];
+    for (const [index, { portName, servicePort }] of portSelections.entries()) {
+      const portLabel = portName ? `${label} (${portName})` : label;
+      const requestedLocalPort = index === 0 ? request.localPort : undefined;
+      if (requestedLocalPort && reservedLocalPorts.has(requestedLocalPort)) {
+        throw new Error(
+          `Local port ${requestedLocalPort} is used by more than one service.`,
+        );
+      }
+      const portError =
+        requestedLocalPort && (await checkLocalPort(requestedLocalPort));
+      if (portError) {
+        throw new Error(await describeBusyPort(requestedLocalPort, portError));
+      }
+      const localPort =
+        requestedLocalPort ||
+        (await promptLocalPort(portLabel, reservedLocalPorts));
+      reservedLocalPorts.add(localPort);
+
+      serviceConfigs.push({
+        context: scope.context,
+        kubeconfig: scope.kubeconfig,
+        selectedService,
+        environment,
+        envLabel,
+        podName,
+        serviceName,
+        serviceNamespace,
+        targetKind,
+        portName,
+        localPort,
+        servicePort,
+        showLogs: false,
+      });
+    }
+
+    // One logs window per service is enough, even when several ports are forwarded
+    if (options.logs || options.noLogs) {
+      serviceConfigs[0].showLogs = Boolean(options.logs);
+    } else {
+      serviceConfigs[0].showLogs = await promptShowLogs(label);
+    }
+    if (serviceConfigs[0].showLogs) {
+      serviceConfigs[0].logsContainer = await promptLogsContainer(
+        label,
+        pod.containers,
+        options.container,
+      );
+    }
+    selectedConfigs.push(...serviceConfigs);
+  }
+
+  return selectedConfigs;
+}
+
+// "kubectl logs" arguments shared by the logs windows and --inline-logs
+function getLogsArgs(cfg, podName, logOptions = {}) {
+  const args = ["logs", "--namespace", cfg.serviceNamespace, podName, "-f"];
+  if (cfg.logsContainer === allContainers) {
+    args.push("--all-containers", "--prefix");
+  } else if (cfg.logsContainer) {
+    args.push("--container", cfg.logsContainer);
+  }
+  if (logOptions.since) args.push(`--since=${logOptions.since}`);
+  if (logOptions.tail !== undefined) args.push(`--tail=${logOptions.tail}`);
+  return args;
+}
+
+// Over SSH or without an X/Wayland session there is no terminal window to open
+function isHeadless() {
+  if (process.env.SSH_CONNECTION) return true;
+  return (
+    process.platform === "linux" &&
+    !process.env.DISPLAY &&
+    !process.env.WAYLAND_DISPLAY
+  );
+}
+
+function openLogs(cfg, podName = cfg.podName, logOptions = {}) {
+  const logsArgs = getLogsArgs(cfg, podName, logOptions);
+  print(c.green, `\n> ${kubectlCommand(cfg, logsArgs)}`);
+  const logsTitle = getForwardLabel(cfg);
+  print(c.cyan, `Opening logs in a separate window (${logsTitle})`);
+  openLogsInTerminal(
+    getKubectl(),
+    [...kubectlScopeArgs(cfg), ...logsArgs],
+    logsTitle,
+  );
+}
+
+// One { name, value } per forward; names that collide get the port name or local port appended
+function getExportEntries(selectedConfigs, nameTemplate) {
+  const toVariableName = (text) =>
+    text
+      .toUpperCase()
+      .replace(/[^A-Z0-9_]+/g, "_")
+      .replace(/_+/g, "_")
+      .replace(/^_|_$/g, "")
+      .replace(/^(?=\d)/, "_");
+
+  const entries = [];
+  for (const cfg of selectedConfigs) {
+    let name = toVariableName(
+      nameTemplate
+        .replace(/\{service\}/g, cfg.selectedService)
+        .replace(/\{env\}/g, cfg.environment)
+        .replace(/\{port\}/g, cfg.portName || cfg.servicePort),
+    );
+    if (entries.some((entry) => entry.name === name)) {
+      name = toVariableName(`${name}_${cfg.portName || cfg.localPort}`);
+    }
+    entries.push({ name, value: getServiceUrls(cfg)[0] });
+  }
+  return entries;
+}
+
+// Keeps every other line of an existing file and replaces the variables this session owns
+function formatExport(format, entries, existingContent) {
+  if (format === "json") {
+    let existing = {};
+    try {
+      existing = existingContent ? JSON.parse(existingContent) : {};
+    } catch {
+      throw new Error("The --export file is not valid JSON.");
+    }
+    const values = Object.fromEntries(
+      entries.map((entry) => [entry.name, entry.value]),
+    );
+    return `${JSON.stringify({ ...existing, ...values }, null, 2)}\n`;
+  }
+
+  const quote = (value) => `"${value.replace(/(["\\$`])/g, "\\$1")}"`;
+  const toLine = (entry) =>
+    format === "shell"
+      ? `export ${entry.name}=${quote(entry.value)}`
+      : `${entry.name}=${entry.value}`;
+
+  const names = new Set(entries.map((entry) => entry.name));
+  const lines = (existingContent || "").split(/\r?\n/).filter((line) => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=/);
+    return !(match && names.has(match[1]));
+  });
+  while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+  return `${[...lines, ...entries.map(toLine)].join("\n")}\n`;
+}
+
+// A second Ctrl+C kills the process right away; renaming never leaves a half-written file behind
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+// Writes the endpoints for local apps and puts the file back the way it was on shutdown
+function createEndpointExport(selectedConfigs, options) {
+  const exportPath = path.resolve(options.export);
+  const extension = path.extname(exportPath).toLowerCase();
+  const format =
+    options.exportFormat ||
+    (extension === ".json" ? "json" : extension === ".sh" ? "shell" : "env");
+  const entries = getExportEntries(
+    selectedConfigs,
+    options.exportName || defaultExportNameTemplate,
+  );
+  let originalContent = null;
+  let written = false;
+
+  return {
+    write() {
+      if (fs.existsSync(exportPath)) {
+        originalContent = fs.readFileSync(exportPath, "utf8");
+      }
+      fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+      writeFileAtomic(
+        exportPath,
+        formatExport(format, entries, originalContent),
+      );
+      written = true;
+
+      print(c.magenta, `\nEndpoints written to ${exportPath}:`);
+      for (const entry of entries) {
+        print(c.green, `  ${entry.name}=${entry.value}`);
+      }
+    },
+
+    restore() {
+      if (!written) return;
+      written = false;
+      try {
+        if (originalContent === null) {
+          fs.unlinkSync(exportPath);
+          print(c.cyan, `Removed ${exportPath}`);
+        } else {
+          writeFileAtomic(exportPath, originalContent);
+          print(c.cyan, `Restored ${exportPath}`);
+        }
+      } catch (error) {
+        print(c.red, `Could not restore ${exportPath}: ${error.message}`);
+      }
+    },
+  };
+}
+
+// Appends timestamped lines synchronously (nothing is lost on process.exit) and rotates by size
+function createRotatingFile(filePath, maxBytes) {
+  let fd = fs.openSync(filePath, "a");
+  let size = fs.fstatSync(fd).size;
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    for (let n = recordPolicy.maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(`${filePath}.${n}`)) {
+        fs.renameSync(`${filePath}.${n}`, `${filePath}.${n + 1}`);
+      }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+    fd = fs.openSync(filePath, "a");
+    size = 0;
+  };
+
+  return {
+    write(text) {
+      const lines = stripAnsi(String(text))
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => `${new Date().toISOString()} ${line}\n`)
+        .join("");
+      if (!lines) return;
+      if (size > 0 && size + Buffer.byteLength(lines) > maxBytes) rotate();
+      fs.writeSync(fd, lines);
+      size += Buffer.byteLength(lines);
+    },
+  };
+}
+
+function toFileName(text) {
+  return text.replace(/[^A-Za-z0-9._-]+/g, "_");
+}
+
+function formatSessionStamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(
+    date.getHours(),
+  )}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// <record dir>/<YYYYMMDD-HHMMSS>-<pid>/session.log (+ logs/<context>_<namespace>_<env>_<service>.log)
+function createSessionRecorder(options) {
+  const sessionDir = path.join(
+    path.resolve(options.recordDir || defaultRecordDir),
+    `${formatSessionStamp(new Date())}-${process.pid}`,
+  );
+  const maxBytes =
+    Number(options.recordMaxSize || recordPolicy.defaultMaxFileMb) *
+    1024 *
+    1024;
+  fs.mkdirSync(sessionDir, { recursive: true });
+  const sessionLog = createRotatingFile(
+    path.join(sessionDir, "session.log"),
+    maxBytes,
+  );
+
+  return {
+    sessionDir,
+    write: sessionLog.write,
+
+    createServiceLog(cfg) {
+      const logsDir = path.join(sessionDir, "logs");
+      fs.mkdirSync(logsDir, { recursive: true });
+      const name = [
+        cfg.context,
+        cfg.serviceNamespace,
+        cfg.environment,
+        cfg.selectedService,
+      ]
+        .filter(Boolean)
+        .join("_");
+      return createRotatingFile(
+        path.join(logsDir, `${toFileName(name)}.log`),
+        maxBytes,
+      );
+    },
+  };
+}
+
+// Follows the logs of a service in this terminal and re-attaches when pods are replaced (--inline-logs)
+// "logFile" also receives every line unfiltered; with "echo" off nothing is shown in the terminal
+function createLogStream(cfg, logOptions, { colorCode, logFile, echo = true }) {
+  const label = getForwardLabel(cfg);
+  const include = logOptions.logInclude.map((pattern) => new RegExp(pattern));
+  const exclude = logOptions.logExclude.map((pattern) => new RegExp(pattern));
+  const reattachDelayMs = 5000;
+  // --all-replicas: how often to look for replicas added by a scale-up or rollout
+  const replicaScanMs = 30000;
+  const children = new Map();
+  let currentPodName = cfg.podName;
+  let stopped = false;
+  let retryTimer = null;
+  let scanTimer = null;
+  let endedAt = null;
+
+  const shouldShow = (line) =>
+    (include.length === 0 || include.some((regex) => regex.test(line))) &&
+    !exclude.some((regex) => regex.test(line));
+
+  const follow = (podName, since) => {
+    const prefix = logOptions.allReplicas
+      ? `[logs ${label} ${podName}]`
+      : `[logs ${label}]`;
+    const logsArgs = getLogsArgs(cfg, podName, {
+      since: since || logOptions.since,
+      tail: since ? undefined : logOptions.tail,
+    });
+    const logsCommand = kubectlCommand(cfg, logsArgs);
+    if (echo) {
+      writePrefixedLines(c.green, prefix, `> ${logsCommand}`);
+    } else if (sessionRecorder) {
+      sessionRecorder.write(`${prefix} > ${logsCommand}`);
+    }
+
+    const p = spawn(getKubectl(), [...kubectlScopeArgs(cfg), ...logsArgs], {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    children.set(podName, p);
+
+    // kubectl writes in arbitrary chunks; only complete lines are filtered and printed
+    let pending = "";
+    p.stdout.on("data", (data) => {
+      const lines = (pending + data.toString("utf8")).split(/\r?\n/);
+      pending = lines.pop();
+      for (const line of lines) {
+        if (logFile)
+          logFile.write(logOptions.allReplicas ? `[${podName}] ${line}` : line);
+        if (echo && shouldShow(line))
+          writePrefixedLines(colorCode, prefix, line);
+      }
+    });
+    p.stderr.on("data", (data) => {
+      if (logFile) logFile.write(String(data).trim());
+      writePrefixedLines(c.red, prefix, data);
+    });
+    p.on("error", (error) => {
+      writePrefixedLines(
+        c.red,
+        prefix,
+        `Failed to start kubectl logs: ${error.message}`,
+      );
+    });
+    p.on("close", (code) => {
+      if (pending && logFile) logFile.write(pending);
+      if (pending && echo && shouldShow(pending)) {
+        writePrefixedLines(colorCode, prefix, pending);
+      }
+      children.delete(podName);
+      if (stopped) return;
+      writePrefixedLines(
+        c.cyan,
+        prefix,
+        `Log stream ended (code ${code}). Re-attaching in ${reattachDelayMs / 1000}s...`,
+      );
+      endedAt = endedAt || Date.now();
+      scheduleReattach();
+    });
+  };
+
+  const attach = async () => {
+    retryTimer = null;
+    let podNames;
+    try {
+      const serviceDetails = await findServiceDetails(cfg);
+      if (serviceDetails) {
+        if (!logOptions.allReplicas) {
+          currentPodName = choosePodName(serviceDetails, currentPodName);
+        }
+        podNames = logOptions.allReplicas
+          ? serviceDetails.pods.map((pod) => pod.name)
+          : [currentPodName];
+      }
+    } catch (error) {
+      writePrefixedLines(c.red, `[logs ${label}]`, error.message);
+    }
+    if (stopped) return;
+    if (!podNames || podNames.length === 0) {
+      writePrefixedLines(c.red, `[logs ${label}]`, "No Running pod found.");
+      scheduleReattach();
+      return;
+    }
+
+    // Pick up whatever was logged while nothing was attached
+    const since = endedAt
+      ? `${Math.ceil((Date.now() - endedAt) / 1000) + 1}s`
+      : undefined;
+    endedAt = null;
+    for (const podName of podNames) {
+      if (!children.has(podName)) follow(podName, since);
+    }
+  };
+
+  const scheduleReattach = () => {
+    if (retryTimer || stopped) return;
+    retryTimer = setTimeout(attach, reattachDelayMs);
+  };
+
+  return {
+    start() {
+      if (logOptions.allReplicas) {
+        attach();
+        scanTimer = setInterval(() => {
+          if (!retryTimer) attach();
+        }, replicaScanMs);
+      } else {
+        follow(currentPodName);
+      }
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearInterval(scanTimer);
+      retryTimer = null;
+      for (const child of children.values()) killProcess(child);
+    },
+  };
+}
+
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "");
+}
+
+function fitText(text, width) {
+  if (width <= 0) return "";
+  return text.length > width
+    ? `${text.slice(0, width - 1)}…`
+    : text.padEnd(width);
+}
+
+// Full-screen table of every forward with per-row controls (--dashboard)
+function createDashboard(forwards, { onQuit, onOpenLogs }) {
+  const maxRecentLines = 200;
+  const recentLines = [];
+  let selected = 0;
+  let renderTimer = null;
+
+  const stateColors = {
+    ready: c.green,
+    starting: c.yellow,
+    restarting: c.yellow,
+    stopped: c.cyan,
+    failed: c.red,
+  };
+
+  const render = () => {
+    const width = process.stdout.columns || 120;
+    const height = process.stdout.rows || 30;
+
+    const headers = [
+      "#",
+      "SERVICE",
+      "ENV",
+      "NAMESPACE",
+      "POD / TARGET",
+      "LOCAL → REMOTE",
+      "STATE",
+      "UPTIME",
+      "LAST ERROR",
+    ];
+    const rows = forwards.map((forward, index) => {
+      const status = forward.getStatus();
+      const health = status.health === "failing" ? " (unhealthy)" : "";
+      return [
+        String(index + 1),
+        status.service,
+        status.environment,
+        status.context
+          ? `${status.context}/${status.namespace}`
+          : status.namespace,
+        status.target,
+        `${status.localPort} → ${status.servicePort}`,
+        `${status.state}${health}`,
+        status.state === "ready"
+          ? formatDuration(Date.now() - status.readySince)
+          : "-",
+        status.lastError,
+      ];
+    });
+
+    // Every column but the last one is as wide as its content; LAST ERROR gets the rest
+    const widths = headers.map((header, column) =>
+      Math.max(header.length, ...rows.map((row) => row[column].length)),
+    );
+    const fixedWidth = widths.slice(0, -1).reduce((sum, w) => sum + w + 2, 0);
+    widths[widths.length - 1] = Math.max(width - fixedWidth, 10);
+    const formatRow = (row) =>
+      fitText(
+        row.map((cell, column) => fitText(cell, widths[column])).join("  "),
+        width,
+      );
+
+    const lines = [
+      colorText(
+        c.yellow,
+        fitText("☸️  Kubernetes Port Forward – Dashboard", width),
+      ),
+      "",
+      formatRow(headers),
+    ];
+    rows.forEach((row, index) => {
+      const text = formatRow(row);
+      const stateColor =
+        stateColors[forwards[index].getStatus().state] || c.reset;
+      lines.push(
+        index === selected
+          ? `\x1b[7m${text}${c.reset}`
+          : colorText(stateColor, text),
+      );
+    });
+    lines.push(
+      "",
+      colorText(
+        c.cyan,
+        fitText(
+          "↑/↓ select · r restart · s stop · l open logs · q quit",
+          width,
+        ),
+      ),
+      "",
+    );
+
+    const logRows = Math.max(height - lines.length - 1, 0);
+    for (const { colorCode, text } of recentLines.slice(-logRows)) {
+      lines.push(colorText(colorCode, fitText(text, width).trimEnd()));
+    }
+
+    process.stdout.write(`\x1b[H\x1b[2J${lines.join("\n")}`);
+  };
+
+  const onKeypress = (str, key = {}) => {
+    const forward = forwards[selected];
+    if ((key.ctrl && key.name === "c") || key.name === "q") {
+      onQuit("dashboard");
+      return;
+    } else if (key.name === "up" || key.name === "k") {
+      selected = Math.max(selected - 1, 0);
+    } else if (key.name === "down" || key.name === "j") {
+      selected = Math.min(selected + 1, forwards.length - 1);
+    } else if (key.name === "r") {
+      forward.restart();
+    } else if (key.name === "s") {
+      forward.stop();
+    } else if (key.name === "l") {
+      onOpenLogs(forward);
+    } else if (/^[1-9]$/.test(str || "") && Number(str) <= forwards.length) {
+      selected = Number(str) - 1;
+    } else {
+      return;
+    }
+    render();
+  };
+
+  return {
+    start() {
+      outputInterceptor = (colorCode, text) => {
+        for (const line of stripAnsi(String(text)).split("\n")) {
+          if (line.trim()) recentLines.push({ colorCode, text: line });
+        }
+        recentLines.splice(0, Math.max(recentLines.length - maxRecentLines, 0));
+      };
+
+      // Alternate screen buffer and hidden cursor, restored in stop()
+      process.stdout.write("\x1b[?1049h\x1b[?25l");
+      readline.emitKeypressEvents(process.stdin);
+      process.stdin.setRawMode(true);
+      process.stdin.on("keypress", onKeypress);
+      process.stdin.resume();
+
+      render();
+      renderTimer = setInterval(render, 1000);
+    },
+
+    stop() {
+      if (!renderTimer) return;
+      clearInterval(renderTimer);
+      renderTimer = null;
+
+      process.stdin.off("keypress", onKeypress);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stdout.write("\x1b[?25h\x1b[?1049l");
+      outputInterceptor = null;
+    },
+  };
+}
+
+// Hands a startForwards() handle's lines to its logger instead of the terminal
+function createLoggerOutput(logger) {
+  return {
+    print: (colorCode, text) => logger(colorCode, text),
+    writePrefixedLines: (colorCode, prefix, data) => {
+      for (const line of toLines(data)) logger(colorCode, `${prefix} ${line}`);
+    },
+  };
+}
+
+// Programmatic entry point: one supervised port-forward per config (from the prompts, a profile or
+// resolveForwardRequest). The handle re-emits "start", "output", "ready", "exit" and "error" with the forward's status.
+// "logger" (or "quiet") takes over what this handle's forwards print, for callers that own the terminal.
+function startForwards(
+  configs,
+  { policy = restartPolicy, logger, quiet = false } = {},
+) {
+  const handle = new EventEmitter();
+  const forwards = [];
+  const output =
+    quiet || logger ? createLoggerOutput(quiet ? () => {} : logger) : undefined;
+
+  handle.forwards = forwards;
+
+  handle.add = (cfg) => {
+    const forward = createPortForwardSupervisor(
+      validateForwardConfig(cfg),
+      policy,
+      output,
+    );
+    forward
+      .on("start", ({ command }) =>
+        handle.emit("start", { ...forward.getStatus(), command }),
+      )
+      .on("output", ({ stream, text }) =>
+        handle.emit("output", { ...forward.getStatus(), stream, text }),
+      )
+      .on("ready", () => handle.emit("ready", forward.getStatus()))
+      .on("exit", ({ code, restarting }) =>
+        handle.emit("exit", { ...forward.getStatus(), code, restarting }),
+      )
+      .on("error", (error) => {
+        // Already printed by the forward; an unhandled "error" event would crash the caller
+        if (handle.listenerCount("error") > 0) {
+          handle.emit("error", error, forward.getStatus());
+        }
+      });
+    forwards.push(forward);
+    // Started on the next tick, so that listeners attached right after startForwards() see "start" too
+    process.nextTick(() => forward.start());
+    return forward;
+  };
+
+  handle.getStatus = () => forwards.map((forward) => forward.getStatus());
+
+  handle.stop = () => {
+    for (const forward of forwards) forward.stop();
+  };
+
+  configs.forEach((cfg) => handle.add(cfg));
+  return handle;
+}
+
+// Builds a forward config the way the prompts would (used by "ctl add" and the module API)
+async function resolveForwardRequest(
+  request,
+  defaults = {},
+  reservedLocalPorts = new Set(),
+) {
+  const spec = parseServiceSpec(String(request.service || ""));
+  const environment = spec.environment || request.env;
+  if (!environment) {
+    throw new Error(
+      `Missing environment for "${spec.service}". Use <service>:<env>[:<localPort>[:<remotePort>]].`,
+    );
+  }
+  const targetKind = request.target || "pod";
+  if (!targetKinds.includes(targetKind)) {
+    throw new Error(
+      `Invalid target "${targetKind}". Expected one of: ${targetKinds.join(", ")}.`,
+    );
+  }
+  if (request.address && !parseBindAddresses(request.address)) {
+    throw new Error(
+      `Invalid address "${request.address}". Expected localhost, an IP address or a comma-separated list of them.`,
+    );
+  }
+
+  const scope = {
+    context: request.context || defaults.context,
+    kubeconfig: defaults.kubeconfig,
+  };
+  const namespace = request.namespace || defaults.serviceNamespace;
+  if (!namespace) throw new Error(`Missing namespace for "${spec.service}".`);
+  assertKubernetesName("namespace", namespace);
+  if (scope.context) assertSafeKubectlValue("context", scope.context);
+  const envLabel = getEnvLabel(environment);
+  const podsData = await getPods(scope, namespace, { silent: true });
+  const serviceDetails = (parseServicesMap(podsData, namespace).get(
+    spec.service,
+  ) || {})[environment];
+  if (!serviceDetails) {
+    throw new Error(
+      `No Running pod found for ${envLabel}${spec.service} in namespace ${namespace}.`,
+    );
+  }
+
+  let servicePort = spec.servicePort;
+  if (!servicePort) {
+    const [detected] = await getServicePorts(
+      scope,
+      namespace,
+      serviceDetails.serviceName,
+      { silent: true },
+    );
+    servicePort = detected
+      ? getRemotePort(detected, targetKind, serviceDetails.ports)
+      : serviceDetails.ports.length > 0 &&
+        serviceDetails.ports[0].containerPort;
+    if (!servicePort) {
+      throw new Error(
+        `Could not detect a port for ${envLabel}${spec.service}. Use <service>:<env>:<localPort>:<remotePort>.`,
+      );
+    }
+  }
+
+  let localPort = spec.localPort;
+  if (localPort) {
+    if (reservedLocalPorts.has(localPort)) {
+      throw new Error(
+        `Local port ${localPort} is already used in this session.`,
+      );
+    }
+    const portError = await checkLocalPort(localPort, request.address);
+    if (portError)
+      throw new Error(await describeBusyPort(localPort, portError));
+  } else {
+    localPort = await nextAvailablePort(3000, reservedLocalPorts);
+  }
+
+  return {
+    context: scope.context,
+    kubeconfig: scope.kubeconfig,
+    selectedService: spec.service,
+    environment,
+    envLabel,
+    podName: serviceDetails.podName,
+    serviceName: serviceDetails.serviceName,
+    serviceNamespace: namespace,
+    targetKind,
+    portName: "",
+    localPort,
+    servicePort,
+    address: request.address || "",
+    relay: Boolean(request.relay ?? defaults.relay),
+    showLogs: false,
+    healthCheck: defaults.healthCheck,
+    healthInterval: defaults.healthInterval,
+  };
+}
+
+// Worked out on first use: os.userInfo() throws for a uid without a passwd entry (arbitrary-uid containers, CI)
+function getRuntimeDir() {
+  if (runtimeDir) return runtimeDir;
+  if (process.env.XDG_RUNTIME_DIR) {
+    runtimeDir = path.join(process.env.XDG_RUNTIME_DIR, "k8s-port-forward");
+    return runtimeDir;
+  }
+  let user;
+  try {
+    user = os.userInfo().username;
+  } catch {
+    user = process.getuid
+      ? String(process.getuid())
+      : process.env.USER || process.env.USERNAME || "user";
+  }
+  runtimeDir = path.join(os.tmpdir(), `k8s-port-forward-${user}`);
+  return runtimeDir;
+}
+
+// The fallback under the shared temp dir is predictable, so a directory someone else created first
+// (to forge session files) is refused rather than used
+function assertPrivateRuntimeDir(dir) {
+  if (process.platform === "win32") return;
+  const stats = fs.lstatSync(dir);
+  if (
+    !stats.isDirectory() ||
+    stats.uid !== process.getuid() ||
+    (stats.mode & 0o777) !== 0o700
+  ) {
+    throw new Error(
+      `Refusing to use ${dir}: it must be a directory (not a symlink) owned by you with mode 0700.`,
+    );
+  }
+}
+
+function ensureRuntimeDir() {
+  const dir = getRuntimeDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  assertPrivateRuntimeDir(dir);
+  return dir;
+}
+
+function getControlSocketPath(pid) {
+  if (process.platform === "win32") {
+    return `\\\\.\\pipe\\k8s-port-forward-${pid}`;
+  }
+  return path.join(getRuntimeDir(), `session-${pid}.sock`);
+}
+
+function getSessionInfoPath(pid) {
+  return path.join(getRuntimeDir(), `session-${pid}.json`);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => {
+      data += chunk;
+    });
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error("Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// HTTP over a per-user Unix socket (a named pipe on Windows), used by the "ctl" command
+function createControlServer(session) {
+  const socketPath = getControlSocketPath(process.pid);
+  const infoPath = getSessionInfoPath(process.pid);
+
+  const handle = async (req) => {
+    const body = await readJsonBody(req);
+    const route = `${req.method} ${req.url}`;
+    const forwardAction = req.url.match(/^\/forwards\/(\d+)\/(stop|restart)$/);
+
+    if (route === "GET /forwards") {
+      return [200, session.listForwards()];
+    }
+    if (route === "POST /forwards") {
+      const forward = await session.addForward(body);
+      writeInfo();
+      return [201, forward];
+    }
+    if (req.method === "POST" && forwardAction) {
+      const id = Number(forwardAction[1]);
+      const forward = session.getForward(id);
+      if (!forward) return [404, { error: `No forward with id ${id}.` }];
+      const label = `[${forward.getStatus().label}]`;
+      writePrefixedLines(
+        c.cyan,
+        label,
+        `${forwardAction[2]} requested via ctl`,
+      );
+      forward[forwardAction[2]]();
+      return [200, { id, ...forward.getStatus() }];
+    }
+    if (route === "POST /shutdown") {
+      setImmediate(() => session.shutdown("ctl shutdown"));
+      return [200, { ok: true }];
+    }
+    return [404, { error: `Unknown request: ${route}` }];
+  };
+
+  const startedAt = new Date().toISOString();
+  let listening = false;
+
+  // Also read by "status", "stop" and by new sessions checking for local ports already in use
+  const writeInfo = () => {
+    if (!listening) return;
+    fs.writeFileSync(
+      infoPath,
+      JSON.stringify({
+        pid: process.pid,
+        socket: socketPath,
+        cwd: process.cwd(),
+        startedAt,
+        detached: Boolean(process.env[daemonEnv.configs]),
+        logFile: process.env[daemonEnv.logFile],
+        localPorts: session.listForwards().map((forward) => forward.localPort),
+      }),
+    );
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req)
+      .catch((error) => [400, { error: error.message }])
+      .then(([status, result]) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(result));
+      });
+  });
+
+  return {
+    start() {
+      try {
+        ensureRuntimeDir();
+        // Left behind by a crashed session that had the same pid
+        if (process.platform !== "win32" && fs.existsSync(socketPath)) {
+          fs.unlinkSync(socketPath);
+        }
+      } catch (error) {
+        print(c.red, `Control socket disabled: ${error.message}`);
+        return;
+      }
+
+      server.on("error", (error) => {
+        print(c.red, `Control socket disabled: ${error.message}`);
+      });
+      server.listen(socketPath, () => {
+        listening = true;
+        writeInfo();
+        print(
+          c.cyan,
+          `Control this session with: node ${path.basename(__filename)} ctl list`,
+        );
+      });
+    },
+
+    stop() {
+      server.close();
+      for (const file of [infoPath, socketPath]) {
+        try {
+          if (file !== socketPath || process.platform !== "win32") {
+            fs.unlinkSync(file);
+          }
+        } catch {
+          // already gone
+        }
+      }
+    },
+  };
 }
 
-async function getServicePort(serviceNamespace, serviceName) {
-  const getServicePortCommand = `kubectl get service --namespace ${serviceNamespace} ${serviceName} -o jsonpath={.spec.ports[*].port}`;
-  print(c.green, `\n> ${getServicePortCommand}`);
-
-  spinner.start("Detecting port on the Kubernetes service");
+function isProcessRunning(pid) {
   try {
-    const servicePortDetected = await execPromise(getServicePortCommand);
-    spinner.stop();
-    print(c.cyan, `Port detected: ${servicePortDetected}\n`);
-    return servicePortDetected;
+    process.kill(pid, 0);
+    return true;
   } catch (error) {
-    spinner.stop();
-    console.error(`Error detecting port: ${error}`);
-    return "3000"; // Default value if detection fails
+    return error.code === "EPERM";
   }
 }
 
-const main = async () => {
-  print(c.yellow, "☸️  Kubernetes Port Forward – Script");
-  print(c.cyan, metadata.repository);
-  print(c.cyan, `Version: ${metadata.version}`);
-  print(c.cyan, "Usage:");
-  print(c.cyan, "  node ./k8s-port-forward-script.js");
-  print(c.cyan, "  node ./k8s-port-forward-script.js --namespace <NAMESPACE>");
+// Sessions that published a control socket and are still alive
+function listRunningSessions() {
+  const dir = getRuntimeDir();
+  if (!fs.existsSync(dir)) return [];
+  assertPrivateRuntimeDir(dir);
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /^session-\d+\.json$/.test(file))
+    .map((file) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      } catch {
+        return null;
+      }
+    })
+    .filter((info) => info && isProcessRunning(info.pid));
+}
 
-  try {
-    let namespace = getArgValue("--namespace");
+function findSession(pid) {
+  const sessions = listRunningSessions();
+  if (pid) {
+    const session = sessions.find((info) => String(info.pid) === String(pid));
+    if (!session) throw new Error(`No running session with pid ${pid}.`);
+    return session;
+  }
+  if (sessions.length === 0) throw new Error("No running session found.");
+  if (sessions.length > 1) {
+    const list = sessions
+      .map((info) => `  ${info.pid}  started ${info.startedAt} in ${info.cwd}`)
+      .join("\n");
+    throw new Error(
+      `Several sessions are running; pick one with --session <PID>:\n${list}`,
+    );
+  }
+  return sessions[0];
+}
+
+function controlRequest(session, method, requestPath, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        socketPath: session.socket,
+        path: requestPath,
+        method,
+        headers: { "Content-Type": "application/json" },
+      },
+      (res) => {
+        readJsonBody(res)
+          .then((result) => {
+            if (res.statusCode >= 400) {
+              reject(new Error(result.error || `HTTP ${res.statusCode}`));
+            } else {
+              resolve(result);
+            }
+          })
+          .catch(reject);
+      },
+    );
+    req.on("error", (error) =>
+      reject(
+        new Error(`Could not reach session ${session.pid}: ${error.message}`),
+      ),
+    );
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
 
-    if (!namespace) {
-      // Get namespaces
-      const namespaces = await getNamespaces();
+function printForwardsTable(forwards) {
+  if (forwards.length === 0) {
+    print(c.magenta, "No forwards in this session.");
+    return;
+  }
 
-      if (namespaces.length === 0) {
-        print(c.magenta, "No namespaces found.");
-        rl.close();
-        return;
-      }
+  const rows = forwards.map((forward) => [
+    String(forward.id),
+    forward.label,
+    forward.state,
+    forward.readySince && forward.state === "ready"
+      ? formatDuration(Date.now() - forward.readySince)
+      : "-",
+    `${forward.namespace}/${forward.target}`,
+    forward.lastError || "",
+  ]);
+  const headers = ["ID", "FORWARD", "STATE", "UPTIME", "TARGET", "LAST ERROR"];
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row[column].length)),
+  );
+  const format = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
 
-      print(c.magenta, "\nNamespaces found:");
-      namespaces.forEach((ns, index) => {
-        print(c.green, `[${index + 1}] ${ns}`);
-      });
+  print(c.magenta, format(headers));
+  rows.forEach((row, index) => {
+    print(forwards[index].state === "ready" ? c.green : c.yellow, format(row));
+  });
+}
 
-      const nsAnswer = await prompt(
-        colorText(
-          c.yellow,
-          "Select a namespace by typing a number (default: --all-namespaces): ",
-        ),
+// Positional arguments plus the given flags, for the status/stop/ctl subcommands
+function parseSubcommandArgs(argv, valueFlags, booleanFlags = []) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [arg, inlineValue] = argv[i].split(/=(.*)/s);
+    if (valueFlags.includes(arg)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value) throw new Error(`Missing value for ${arg}.`);
+      flags[toOptionKey(arg)] = value;
+    } else if (booleanFlags.includes(arg)) {
+      flags[toOptionKey(arg)] = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}. Run with --help for usage.`);
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, flags };
+}
+
+// Refuses to start forwards on local ports that another running session owns
+function assertPortsFreeOfOtherSessions(selectedConfigs) {
+  for (const session of listRunningSessions()) {
+    if (session.pid === process.pid) continue;
+    const cfg = selectedConfigs.find((selected) =>
+      (session.localPorts || []).includes(selected.localPort),
+    );
+    if (cfg) {
+      throw new Error(
+        `Local port ${cfg.localPort} is already forwarded by session ${session.pid} (started ${session.startedAt} in ${session.cwd}). Stop it first: node ${path.basename(__filename)} stop --session ${session.pid}`,
       );
-      const nsIndex = parseInt(nsAnswer) || 0;
+    }
+  }
+}
 
-      if (isNaN(nsIndex) || nsIndex < 0 || nsIndex > namespaces.length) {
-        console.error(
-          "Invalid selection. Please run the script again and choose a valid number.",
-        );
-        rl.close();
-        return;
-      }
+// "status": every running session with its forwards
+async function runStatus(argv) {
+  const { flags } = parseSubcommandArgs(argv, ["--session"]);
+  const sessions = flags.session
+    ? [findSession(flags.session)]
+    : listRunningSessions();
+  if (sessions.length === 0) {
+    print(c.magenta, "No running session found.");
+    return;
+  }
+
+  for (const session of sessions) {
+    const mode = session.detached ? "background" : "terminal";
+    print(
+      c.yellow,
+      `\nSession ${session.pid} (${mode}) started ${session.startedAt} in ${session.cwd}`,
+    );
+    if (session.logFile) print(c.cyan, `Log: ${session.logFile}`);
+    try {
+      printForwardsTable(await controlRequest(session, "GET", "/forwards"));
+    } catch (error) {
+      print(c.red, error.message);
+    }
+  }
+}
+
+// "stop": asks a session (or all of them) to shut down, and signals it if it doesn't answer
+async function runStop(argv) {
+  const { flags } = parseSubcommandArgs(argv, ["--session"], ["--all"]);
+  const sessions = flags.all
+    ? listRunningSessions()
+    : [findSession(flags.session)];
+  if (sessions.length === 0) {
+    print(c.magenta, "No running session found.");
+    return;
+  }
+
+  for (const session of sessions) {
+    try {
+      await controlRequest(session, "POST", "/shutdown");
+    } catch (error) {
+      print(c.red, `${error.message}. Sending SIGTERM.`);
+      process.kill(session.pid, "SIGTERM");
+    }
+
+    // onShutdown hooks may keep the session up to hookPolicy.shutdownTimeoutMs
+    const deadline = Date.now() + hookPolicy.shutdownTimeoutMs + 5000;
+    while (isProcessRunning(session.pid) && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    if (isProcessRunning(session.pid)) {
+      print(c.red, `Session ${session.pid} is still running.`);
+      process.exitCode = 1;
+    } else {
+      print(c.green, `Session ${session.pid} stopped.`);
+    }
+  }
+}
 
-      namespace = nsIndex > 0 ? namespaces[nsIndex - 1] : undefined;
+// --dry-run: what startSession would run, without running it
+function printDryRun(selectedConfigs, options) {
+  selectedConfigs.forEach(validateForwardConfig);
+  print(c.magenta, "\nDry run: nothing was started. The session would run:");
+  for (const cfg of selectedConfigs) {
+    print(
+      c.cyan,
+      `\n[${getForwardLabel(cfg)}] ${getReachableHosts(cfg)[0]}:${cfg.localPort} → ${cfg.serviceNamespace}/${getForwardTarget(
+        cfg,
+      )}:${cfg.servicePort}`,
+    );
+    print(c.green, `> ${kubectlCommand(cfg, getPortForwardArgs(cfg))}`);
+    if (cfg.relay) {
+      print(
+        c.cyan,
+        `Relayed: port ${cfg.localPort} is kept open by this script, kubectl listens on a random loopback port`,
+      );
+    }
+    if (getExposedAddresses(cfg).length > 0) {
+      print(c.yellow, `Reachable at: ${getServiceUrls(cfg).join(", ")}`);
+    }
+    if (cfg.showLogs) {
+      const where =
+        options.inlineLogs || isHeadless()
+          ? "in this terminal"
+          : "in a new window";
+      print(
+        c.green,
+        `> ${kubectlCommand(cfg, getLogsArgs(cfg, cfg.podName, options))} (${where})`,
+      );
+    }
+    if (cfg.healthCheck) {
       print(
         c.cyan,
-        `You selected namespace: ${namespace ? namespace : "--all-namespaces"}`,
+        `Health check: ${cfg.healthCheck} every ${
+          cfg.healthInterval || healthCheckPolicy.defaultIntervalSeconds
+        }s`,
       );
     }
+  }
+}
 
-    // Get pods
-    const podsData = await getPods(namespace);
+// --detach: hands the selected configs to a background copy of this script and waits until it's up
+async function startDetached(selectedConfigs) {
+  const logFile = path.join(
+    ensureRuntimeDir(),
+    `daemon-${formatSessionStamp(new Date())}-${process.pid}.log`,
+  );
 
-    // Process services
-    const servicesMap = parseServicesMap(podsData, namespace);
-    const servicesList = Array.from(servicesMap.keys()).sort();
+  const out = fs.openSync(logFile, "a");
+  const child = spawn(
+    process.execPath,
+    [__filename, ...process.argv.slice(2)],
+    {
+      detached: true,
+      stdio: ["pipe", out, out],
+      env: {
+        ...process.env,
+        [daemonEnv.configs]: "stdin",
+        [daemonEnv.logFile]: logFile,
+      },
+      windowsHide: true,
+    },
+  );
+  fs.closeSync(out);
+  // Piped rather than written next to the session files, where the hooks they carry could be swapped
+  child.stdin.on("error", () => {});
+  child.stdin.end(JSON.stringify(selectedConfigs));
 
-    if (servicesList.length === 0) {
-      print(c.magenta, "No services found.");
-      rl.close();
-      return;
-    }
+  let exitCode = null;
+  child.on("exit", (code) => {
+    exitCode = code;
+  });
 
-    print(c.magenta, "\nServices found:");
-    servicesList.forEach((service, index) => {
-      print(c.green, `[${index + 1}] ${service}`);
-    });
+  spinner.start("Starting the forwards in the background");
+  const deadline = Date.now() + 15000;
+  while (
+    exitCode === null &&
+    !fs.existsSync(getSessionInfoPath(child.pid)) &&
+    Date.now() < deadline
+  ) {
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  spinner.stop();
 
-    const serviceAnswer = await prompt(
-      colorText(
-        c.yellow,
-        "Select one or more services by typing numbers (e.g. 1,3,5): ",
-      ),
+  if (!fs.existsSync(getSessionInfoPath(child.pid))) {
+    throw new Error(
+      `The background session did not start${
+        exitCode !== null ? ` (exit code ${exitCode})` : ""
+      }. See ${logFile}`,
     );
+  }
 
-    const selectedNumbers = parseMultiSelect(
-      serviceAnswer,
-      servicesList.length,
+  child.unref();
+  const script = path.basename(__filename);
+  print(c.green, `\nRunning in the background (pid ${child.pid}).`);
+  for (const cfg of selectedConfigs) {
+    print(
+      c.green,
+      `  [${getForwardLabel(cfg)}] ${getServiceUrls(cfg).join(", ")}`,
     );
-    if (!selectedNumbers || selectedNumbers.length === 0) {
-      console.error(
-        "Invalid selection. Please run the script again and choose valid numbers (e.g. 1,3,5).",
+  }
+  print(c.cyan, `Output: ${logFile}`);
+  print(c.cyan, `Check it with: node ${script} status`);
+  print(c.cyan, `Stop it with:  node ${script} stop --session ${child.pid}`);
+}
+
+// "ctl <command>": talks to the control socket of a running session
+async function runCtl(argv) {
+  const { args, flags } = parseSubcommandArgs(argv, [
+    "--session",
+    "--namespace",
+    "--context",
+    "--target",
+    "--address",
+  ]);
+
+  const [command, value] = args;
+  const session = findSession(flags.session);
+
+  if (command === "list") {
+    printForwardsTable(await controlRequest(session, "GET", "/forwards"));
+  } else if (command === "add" && value) {
+    if (flags.address && !parseBindAddresses(flags.address)) {
+      throw new Error(
+        `Invalid --address "${flags.address}". Expected localhost, an IP address or a comma-separated list of them.`,
       );
-      rl.close();
+    }
+    const spec = parseServiceSpec(value);
+    const confirmed = await confirmExposedBindings([
+      {
+        selectedService: spec.service,
+        envLabel: spec.environment ? getEnvLabel(spec.environment) : "",
+        localPort: spec.localPort || "auto",
+        targetKind: flags.target || "pod",
+        context: flags.context,
+        address: flags.address,
+      },
+    ]);
+    if (!confirmed) {
+      print(c.magenta, "Cancelled.");
       return;
     }
-
-    const selectedServices = selectedNumbers.map((n) => servicesList[n - 1]);
+    const forward = await controlRequest(session, "POST", "/forwards", {
+      service: value,
+      namespace: flags.namespace,
+      context: flags.context,
+      target: flags.target,
+      address: flags.address,
+    });
+    print(c.green, `Added [${forward.id}] ${forward.label}`);
+  } else if ((command === "stop" || command === "restart") && value) {
+    const forward = await controlRequest(
+      session,
+      "POST",
+      `/forwards/${encodeURIComponent(value)}/${command}`,
+    );
     print(
-      c.cyan,
-      `You selected (${selectedServices.length}): ${selectedServices.join(
-        ", ",
-      )}`,
+      c.green,
+      `${command === "stop" ? "Stopping" : "Restarting"} [${forward.id}] ${forward.label}`,
+    );
+  } else if (command === "shutdown") {
+    await controlRequest(session, "POST", "/shutdown");
+    print(c.green, `Session ${session.pid} is shutting down.`);
+  } else {
+    throw new Error(
+      `Usage: node ${path.basename(__filename)} ctl <list|add|stop|restart|shutdown>. Run with --help for details.`,
     );
+  }
+}
 
-    // Collect configs for all selected services first (so we can run port-forwards together)
-    const selectedConfigs = [];
-    const reservedLocalPorts = new Set();
+// Opens the optional logs windows and starts every port-forward in this terminal
+function startSession(selectedConfigs, options) {
+  selectedConfigs.forEach(validateForwardConfig);
+  if (options.record) {
+    sessionRecorder = createSessionRecorder(options);
+    print(c.cyan, `\nRecording this session to ${sessionRecorder.sessionDir}`);
+    sessionRecorder.write(
+      `Session started (${metadata.version}, pid ${process.pid}): ${process.argv
+        .slice(2)
+        .join(" ")}`,
+    );
+    for (const cfg of selectedConfigs) {
+      sessionRecorder.write(
+        `Forward ${getForwardLabel(cfg)}: ${cfg.serviceNamespace}/${getForwardTarget(
+          cfg,
+        )} ${cfg.localPort}:${cfg.servicePort}`,
+      );
+    }
+  }
 
-    for (const selectedService of selectedServices) {
-      print(c.magenta, `\n--- ${selectedService} ---`);
-      const availableEnvs = Object.keys(servicesMap.get(selectedService) || {});
-      if (availableEnvs.length === 0) {
-        print(c.red, `No environments found for ${selectedService}. Skipping.`);
-        continue;
-      }
+  const inlineLogs = options.inlineLogs || isHeadless();
+  const logsConfigs = selectedConfigs.filter((cfg) => cfg.showLogs);
+  const recordServiceLogs = Boolean(
+    sessionRecorder && options.recordServiceLogs,
+  );
+  const getServiceKey = (cfg) =>
+    [
+      cfg.context,
+      cfg.serviceNamespace,
+      cfg.environment,
+      cfg.selectedService,
+    ].join("/");
+  if (!options.inlineLogs && inlineLogs && logsConfigs.length > 0) {
+    print(
+      c.cyan,
+      "\nNo desktop session detected; streaming logs in this terminal (--inline-logs).",
+    );
+  }
 
-      print(c.magenta, "Environments:");
-      availableEnvs.forEach((env, index) => {
-        print(c.green, `[${index + 1}] ${env}`);
-      });
+  // Open logs windows first (optional); inline streams start with the forwards
+  const logStreams = [];
+  logsConfigs.forEach((cfg, index) => {
+    if (inlineLogs) {
+      logStreams.push(
+        createLogStream(cfg, options, {
+          colorCode: logColors[index % logColors.length],
+          logFile: recordServiceLogs
+            ? sessionRecorder.createServiceLog(cfg)
+            : null,
+        }),
+      );
+    } else {
+      openLogs(cfg, cfg.podName, options);
+    }
+  });
 
-      const envAnswer = await prompt(
-        colorText(
-          c.yellow,
-          `Select an environment for ${selectedService} (default: 1): `,
-        ),
+  // Logs that are not streamed here (windows or not shown at all) are recorded in the background
+  if (recordServiceLogs) {
+    const recordedServices = new Set(
+      inlineLogs ? logsConfigs.map(getServiceKey) : [],
+    );
+    for (const cfg of selectedConfigs) {
+      if (recordedServices.has(getServiceKey(cfg))) continue;
+      recordedServices.add(getServiceKey(cfg));
+      logStreams.push(
+        createLogStream(cfg, options, {
+          logFile: sessionRecorder.createServiceLog(cfg),
+          echo: false,
+        }),
       );
-      const envChoice = Number.parseInt(envAnswer, 10) || 1;
-      if (envChoice < 1 || envChoice > availableEnvs.length) {
-        print(
-          c.red,
-          `Invalid environment selection for ${selectedService}. Skipping.`,
-        );
-        continue;
-      }
+    }
+  }
 
-      const environment = availableEnvs[envChoice - 1];
-      const serviceDetails = servicesMap.get(selectedService)[environment];
-      if (!serviceDetails) {
-        print(
-          c.red,
-          `The selected environment "${environment}" does not exist for "${selectedService}". Skipping.`,
-        );
-        continue;
-      }
+  const endpointExport = options.export
+    ? createEndpointExport(selectedConfigs, options)
+    : null;
 
-      const serviceId = serviceDetails.id;
-      const serviceName = serviceDetails.serviceName;
-      const serviceNamespace = namespace ?? serviceDetails.namespace;
-      const envLabel = environment !== "default" ? `${environment}~` : "";
+  // The dashboard keeps reading keys; otherwise no more user input is required
+  closeReadline();
 
-      const suggestedLocalPort = nextAvailablePort(3000, reservedLocalPorts);
-      let localPort = "";
-      while (true) {
-        const localPortAnswer = await prompt(
-          colorText(
-            c.yellow,
-            `Enter the local port for ${envLabel}${selectedService} (default: ${suggestedLocalPort}): `,
-          ),
-        );
-        localPort = localPortAnswer || suggestedLocalPort;
-        if (!isValidPort(localPort)) {
-          print(c.red, "Invalid port. Enter a number between 1 and 65535.");
-          continue;
-        }
-        if (reservedLocalPorts.has(localPort)) {
-          print(
-            c.red,
-            `Port ${localPort} is already used by another selection. Choose another.`,
-          );
-          continue;
+  // Start all port-forwards in this same terminal
+  print(c.reset, "\nInitializing port forwarding (all in this terminal)");
+  const handle = startForwards(selectedConfigs);
+  const forwards = handle.forwards;
+  if (jsonOutput) {
+    const ids = (status) => ({
+      label: status.label,
+      service: status.service,
+      environment: status.environment,
+      namespace: status.namespace,
+      context: status.context,
+      localPort: status.localPort,
+      servicePort: status.servicePort,
+      podName: status.podName,
+    });
+    handle
+      .on("start", (status) =>
+        emitEvent("forward_started", {
+          ...ids(status),
+          command: status.command,
+        }),
+      )
+      .on("ready", (status) =>
+        emitEvent("forward_ready", {
+          ...ids(status),
+          urls: getServiceUrls(status),
+        }),
+      )
+      .on("output", (status) => {
+        if (status.stream !== "stderr") return;
+        for (const line of status.text.split(/\r?\n/).filter(Boolean)) {
+          emitEvent("forward_stderr", { ...ids(status), text: line });
         }
-        reservedLocalPorts.add(localPort);
-        break;
-      }
-
-      const servicePortDetected = await getServicePort(
-        serviceNamespace,
-        serviceName,
+      })
+      .on("exit", (status) =>
+        emitEvent("forward_exited", {
+          ...ids(status),
+          code: status.code,
+          restarting: status.restarting,
+        }),
+      )
+      .on("error", (error, status) =>
+        emitEvent("forward_error", { ...ids(status), message: error.message }),
       );
-      const servicePortAnswer = await prompt(
-        colorText(
-          c.yellow,
-          `Enter the destination port on the Kubernetes service for ${envLabel}${selectedService} (default: ${servicePortDetected}): `,
-        ),
+  }
+
+  // Dashboard "l": inline streams go through the dashboard's log area and stop with the session
+  const streamedServices = new Set(
+    inlineLogs ? logsConfigs.map(getServiceKey) : [],
+  );
+  const openForwardLogs = (forward) => {
+    const podName = forward.getStatus().podName;
+    if (!inlineLogs) {
+      openLogs(forward.cfg, podName, options);
+      return;
+    }
+    if (streamedServices.has(getServiceKey(forward.cfg))) {
+      print(
+        c.cyan,
+        `Already streaming logs of ${getForwardLabel(forward.cfg)}`,
       );
-      const servicePort = servicePortAnswer || `${servicePortDetected}`;
-      if (!isValidPort(servicePort)) {
-        print(
-          c.red,
-          `Invalid destination port for ${selectedService}. Using detected/default: ${servicePortDetected}`,
-        );
-      }
+      return;
+    }
+    const logStream = createLogStream({ ...forward.cfg, podName }, options, {
+      colorCode: logColors[logStreams.length % logColors.length],
+    });
+    streamedServices.add(getServiceKey(forward.cfg));
+    logStreams.push(logStream);
+    logStream.start();
+  };
 
-      const logsAnswer = await prompt(
-        colorText(
-          c.yellow,
-          `Would you like to see the logs in real time for ${envLabel}${selectedService}? (Y/n): `,
-        ),
+  let dashboard = null;
+  if (options.dashboard) {
+    if (process.stdin.isTTY && process.stdout.isTTY && !jsonOutput) {
+      dashboard = createDashboard(forwards, {
+        onQuit: (reason) => shutdown(reason),
+        onOpenLogs: openForwardLogs,
+      });
+    } else {
+      print(
+        c.red,
+        "--dashboard needs an interactive terminal; using plain output.",
       );
-      const logsChoice = (logsAnswer.toLowerCase() || "y").trim();
-      const showLogs =
-        logsChoice === "y" || logsChoice === "yes" || logsChoice === "";
+    }
+  }
 
-      selectedConfigs.push({
-        selectedService,
-        environment,
-        envLabel,
-        serviceId,
-        serviceName,
-        serviceNamespace,
-        localPort,
-        servicePort: servicePortAnswer ? servicePort : `${servicePortDetected}`,
-        showLogs,
+  const shutdown = attachGracefulShutdown({
+    closeInput: closeReadline,
+    forwards,
+    print,
+    c,
+    onShutdown: (reason) => {
+      emitEvent("shutdown", {
+        reason,
+        forwards: forwards.map((forward) => ({
+          ...getForwardIds(forward.cfg),
+          ...forward.getStats(),
+        })),
       });
+      if (dashboard) dashboard.stop();
+      controlServer.stop();
+      logStreams.forEach((logStream) => logStream.stop());
+      if (endpointExport) endpointExport.restore();
+    },
+  });
+
+  const controlServer = createControlServer({
+    listForwards: () =>
+      forwards.map((forward, index) => ({
+        id: index + 1,
+        ...forward.getStatus(),
+      })),
+    getForward: (id) => forwards[id - 1],
+    addForward: async (request) => {
+      const reservedLocalPorts = new Set(
+        forwards.map((forward) => forward.cfg.localPort),
+      );
+      const cfg = await resolveForwardRequest(
+        request,
+        selectedConfigs[0],
+        reservedLocalPorts,
+      );
+      print(c.cyan, `\nAdding ${getForwardLabel(cfg)} (requested via ctl)`);
+      const forward = handle.add(cfg);
+      return { id: forwards.length, ...forward.getStatus() };
+    },
+    shutdown,
+  });
+
+  if (endpointExport) endpointExport.write();
+  if (dashboard) dashboard.start();
+
+  for (const logStream of logStreams) {
+    logStream.start();
+  }
+  controlServer.start();
+}
+
+const subcommands = { ctl: runCtl, status: runStatus, stop: runStop };
+
+const main = async () => {
+  const subcommand = subcommands[process.argv[2]];
+  if (subcommand) {
+    try {
+      await subcommand(process.argv.slice(3));
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
     }
+    closeReadline();
+    return;
+  }
 
-    if (selectedConfigs.length === 0) {
-      print(c.magenta, "No services selected/configured.");
-      rl.close();
-      return;
+  // Parsed before the banner so that --output json keeps even the banner off stdout
+  let options = null;
+  let argsError = null;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.output === "json") useJsonOutput();
+  } catch (error) {
+    argsError = error;
+    // Another option is invalid: still honor --output json, so the error arrives as an event
+    const argv = process.argv.slice(2);
+    if (
+      argv.includes("--output=json") ||
+      argv.some((arg, i) => arg === "--output" && argv[i + 1] === "json")
+    ) {
+      useJsonOutput();
     }
+  }
 
-    // Open logs windows first (optional)
-    for (const cfg of selectedConfigs) {
-      if (!cfg.showLogs) continue;
+  print(c.yellow, "☸️  Kubernetes Port Forward – Script");
+  print(c.cyan, metadata.repository);
+  print(c.cyan, `Version: ${metadata.version}`);
+  print(c.cyan, "Usage:");
+  print(c.cyan, "  node ./k8s-port-forward-script.js");
+  print(c.cyan, "  node ./k8s-port-forward-script.js --namespace <NAMESPACE>");
+  print(
+    c.cyan,
+    "  node ./k8s-port-forward-script.js --profile <NAME> [--stack <STACK>]",
+  );
+  print(c.cyan, "  node ./k8s-port-forward-script.js --help");
 
-      const podName = `${cfg.serviceName}-${cfg.serviceId}`;
-      const logsCommand = `kubectl logs --namespace ${cfg.serviceNamespace} ${podName} -f`;
-      print(c.green, `\n> ${logsCommand}`);
-      print(
-        c.cyan,
-        `Opening logs in a separate window (${cfg.envLabel}${cfg.selectedService}:${cfg.localPort})`,
-      );
-      const logsTitle = `${cfg.envLabel}${cfg.selectedService}:${cfg.localPort}`;
-      openLogsInTerminal(logsCommand, logsTitle);
+  try {
+    if (argsError) throw argsError;
+    if (options.help) {
+      printHelp();
+      closeReadline();
+      return;
     }
 
-    // Start all port-forwards in this same terminal
-    const portForwardProcesses = [];
-    attachGracefulShutdown({
-      rl,
-      processes: portForwardProcesses,
-      print,
-      c,
-    });
+    if (options.kubectl) kubectlPath = options.kubectl;
 
-    print(c.reset, "\nInitializing port forwarding (all in this terminal)");
-    for (const cfg of selectedConfigs) {
-      const podName = `${cfg.serviceName}-${cfg.serviceId}`;
-      const portForwardArgs = [
-        "port-forward",
-        "--namespace",
-        cfg.serviceNamespace,
-        podName,
-        `${cfg.localPort}:${cfg.servicePort}`,
-      ];
+    const config = loadConfig(options.config);
+    groupingRules = compileGroupingRules(config.grouping);
+    serviceHooks = compileServiceHooks(config.hooks);
+    if (!options.exportName && config.export) {
+      options.exportName = config.export.nameTemplate;
+    }
 
-      const portForwardCommand = `kubectl ${portForwardArgs.join(" ")}`;
-      const prefix = `[${cfg.envLabel}${cfg.selectedService}:${cfg.localPort}]`;
-      print(c.green, `\n> ${portForwardCommand}`);
+    // Background copy started by --detach: the configs were chosen by the parent process
+    if (process.env[daemonEnv.configs]) {
+      const daemonConfigs = JSON.parse(await readStdin());
+      startSession(daemonConfigs, {
+        ...options,
+        dashboard: false,
+        inlineLogs: true,
+      });
+      return;
+    }
 
-      const p = spawn("kubectl", portForwardArgs, {
-        stdio: ["ignore", "pipe", "pipe"],
+    const profileName = options.profile;
+    let selectedConfigs;
+
+    if (profileName) {
+      selectedConfigs = await loadProfileConfigs(profileName, options.stack, {
+        context: options.context,
+        kubeconfig: options.kubeconfig,
       });
-      portForwardProcesses.push(p);
-
-      let printedAvailable = false;
-      p.stdout.on("data", (data) => {
-        if (!printedAvailable) {
-          printedAvailable = true;
-          writePrefixedLines(
-            c.magenta,
-            prefix,
-            `Service available at: http://localhost:${cfg.localPort}`,
+    } else {
+      selectedConfigs = await selectServices(options);
+    }
+
+    if (!selectedConfigs) {
+      closeReadline();
+      return;
+    }
+
+    if (selectedConfigs.length === 0) {
+      print(c.magenta, "No services selected/configured.");
+      closeReadline();
+      return;
+    }
+
+    // Health check, address and relay flags apply to every forward (and override the profile)
+    for (const cfg of selectedConfigs) {
+      if (options.healthCheck) cfg.healthCheck = options.healthCheck;
+      if (options.healthInterval) {
+        cfg.healthInterval = Number(options.healthInterval);
+      }
+      const address =
+        options.addressByService[cfg.selectedService] || options.bindAddress;
+      if (address) cfg.address = address;
+      if (options.relay) cfg.relay = true;
+      // The ports were checked on the loopbacks while selecting; --address can put them elsewhere
+      if (address) {
+        const portError = await checkLocalPort(cfg.localPort, address);
+        if (portError) {
+          const reason = await describeBusyPort(cfg.localPort, portError);
+          throw new Error(
+            `${reason.replace(/\.$/, "")} on --address ${address}.`,
           );
         }
-        writePrefixedLines(c.green, prefix, data);
+      }
+      emitEvent("config_selected", {
+        ...getForwardIds(cfg),
+        podName: cfg.podName,
+        target: getForwardTarget(cfg),
+        address: cfg.address || "localhost",
+        relay: Boolean(cfg.relay),
+        showLogs: Boolean(cfg.showLogs),
       });
+    }
 
-      p.stderr.on("data", (data) => {
-        writePrefixedLines(c.red, prefix, data);
-      });
+    if (options.dryRun) {
+      closeReadline();
+      printDryRun(selectedConfigs, options);
+      return;
+    }
 
-      p.on("close", (code) => {
-        writePrefixedLines(
-          c.cyan,
-          prefix,
-          `port-forward exited with code ${code}`,
-        );
-      });
+    // Only offer to save runs that were answered at the prompts
+    if (!profileName && options.service.length === 0) {
+      await offerToSaveProfile(selectedConfigs);
+    }
+
+    if (!(await confirmExposedBindings(selectedConfigs))) {
+      print(c.magenta, "Cancelled.");
+      closeReadline();
+      return;
     }
 
-    // No more user input required once port-forwards are running
-    rl.close();
+    assertPortsFreeOfOtherSessions(selectedConfigs);
+    if (options.detach) {
+      closeReadline();
+      await startDetached(selectedConfigs);
+    } else {
+      startSession(selectedConfigs, options);
+    }
   } catch (error) {
     spinner.stop();
     console.error(`${error.message}`);
-    rl.close();
+    emitEvent("error", { message: error.message });
+    process.exitCode = 1;
+    closeReadline();
   }
 };
 
-main();
+module.exports = {
+  compileGroupingRules,
+  parseServicesMap,
+  getContexts,
+  getCurrentContext,
+  getNamespaces,
+  getPods,
+  getServicePorts,
+  findServiceDetails,
+  resolveForwardRequest,
+  startForwards,
+  restartPolicy,
+};
+
+if (require.main === module) {
+  main();
+}